@@ -17,6 +17,12 @@ function parseDuration(envVar, defaultValue) {
   return isNaN(value) ? defaultValue : value;
 }
 
+// Helper function to parse counts and sizes (not durations) with fallback
+function parseInteger(envVar, defaultValue) {
+  const value = parseInt(process.env[envVar], 10);
+  return isNaN(value) ? defaultValue : value;
+}
+
 // Helper function to parse backoff sequence from environment
 function parseBackoffSequence(envVar, defaultSequence) {
   const envValue = process.env[envVar];
@@ -28,23 +34,119 @@ function parseBackoffSequence(envVar, defaultSequence) {
     if (parsed.every(val => !isNaN(val) && val > 0)) {
       return parsed;
     } else {
-      console.warn(`Invalid BACKOFF_SEQUENCE_MINUTES format, using default: ${envValue}`);
+      console.warn(`Invalid ${envVar} format, using default: ${envValue}`);
       return defaultSequence;
     }
   } catch (error) {
-    console.warn(`Error parsing BACKOFF_SEQUENCE_MINUTES, using default: ${error.message}`);
+    console.warn(`Error parsing ${envVar}, using default: ${error.message}`);
     return defaultSequence;
   }
 }
 
+// Helper function to parse per-name numbers, e.g. TTLs ("csgo_inventory=24,steam_level=168")
+function parseNamedNumbers(envVar, defaultValues) {
+  const envValue = process.env[envVar];
+  if (!envValue) return defaultValues;
+  
+  const values = { ...defaultValues };
+  for (const pair of envValue.split(',')) {
+    const [name, value] = pair.split('=').map(val => val.trim());
+    const parsed = parseFloat(value);
+    if (name && !isNaN(parsed) && parsed >= 0) {
+      values[name] = parsed;
+    } else {
+      console.warn(`Invalid ${envVar} entry ignored: ${pair}`);
+    }
+  }
+  return values;
+}
+
+// Helper function to parse inventory checks ("csgo_inventory=730/2,tf2_inventory=440/2")
+function parseInventoryApps(envVar, defaultApps) {
+  const envValue = process.env[envVar];
+  if (!envValue) return defaultApps;
+
+  const apps = {};
+  for (const entry of envValue.split(',')) {
+    const match = entry.trim().match(/^([a-z0-9_]+)=(\d+)\/(\d+)$/);
+    if (match) {
+      apps[match[1]] = { appId: parseInt(match[2]), contextId: parseInt(match[3]) };
+    } else if (entry.trim()) {
+      console.warn(`⚠️ Invalid ${envVar} entry: ${entry.trim()} (expected check_name=appId/contextId)`);
+    }
+  }
+
+  if (Object.keys(apps).length === 0) {
+    console.warn(`⚠️ Invalid ${envVar} format: ${envValue}, using default`);
+    return defaultApps;
+  }
+  return apps;
+}
+
+// Helper function to parse per-endpoint token buckets ("inventory=0.1/2,friends=0.5/1")
+function parseRateLimits(envVar, defaultLimits) {
+  const envValue = process.env[envVar];
+  if (!envValue) return defaultLimits;
+
+  const limits = { ...defaultLimits };
+  for (const entry of envValue.split(',')) {
+    const match = entry.trim().match(/^([a-z0-9_]+)=(\d*\.?\d+)\/(\d+)$/);
+    if (match && parseFloat(match[2]) > 0 && parseInt(match[3]) > 0) {
+      limits[match[1]] = { rate: parseFloat(match[2]), burst: parseInt(match[3]) };
+    } else if (entry.trim()) {
+      console.warn(`⚠️ Invalid ${envVar} entry: ${entry.trim()} (expected endpoint=requestsPerSecond/burst)`);
+    }
+  }
+  return limits;
+}
+
+// Helper function to parse per-check error policies ("friends=pass,csgo_inventory=hold")
+function parseErrorPolicies(envVar) {
+  const envValue = process.env[envVar];
+  if (!envValue) return {};
+
+  const policies = {};
+  for (const entry of envValue.split(',')) {
+    const [name, policy] = entry.split('=').map(val => val.trim());
+    if (name && ['pass', 'fail', 'hold'].includes(policy)) {
+      policies[name] = policy;
+    } else if (entry.trim()) {
+      console.warn(`⚠️ Invalid ${envVar} entry: ${entry.trim()} (expected check_name=pass|fail|hold)`);
+    }
+  }
+  return policies;
+}
+
 // Define configuration
 const CONFIG = {
   // File paths - updated for new structure
   QUEUE_PATH: path.join(__dirname, '../profiles_queue.json'), // Queue file inside steam-id-processor
+  // Queue storage: 'json' (QUEUE_PATH, default) or 'sqlite' (QUEUE_DB_PATH, needs better-sqlite3).
+  // Move an existing JSON queue into SQLite with `npm run migrate-queue`
+  QUEUE_BACKEND: process.env.QUEUE_BACKEND === 'sqlite' ? 'sqlite' : 'json',
+  QUEUE_DB_PATH: process.env.QUEUE_DB_PATH || path.join(__dirname, '../profiles_queue.db'),
+  // JSON backend: append changes to a journal and fold it into QUEUE_PATH periodically
+  // instead of rewriting the whole file on every change (opt-in, default: rewrite every time)
+  QUEUE_JOURNAL_ENABLED: process.env.QUEUE_JOURNAL_ENABLED === 'true',
+  QUEUE_JOURNAL_PATH: process.env.QUEUE_JOURNAL_PATH || path.join(__dirname, '../profiles_queue.journal'),
+  QUEUE_JOURNAL_COMPACT_INTERVAL: parseDuration('QUEUE_JOURNAL_COMPACT_INTERVAL', 60000),
+  // Unacknowledged queue corruption incidents - processing pauses while this file exists
+  QUEUE_QUARANTINE_PATH: process.env.QUEUE_QUARANTINE_PATH || path.join(__dirname, '../queue_quarantine.json'),
+  // Startup schema migration (QueueSchemaMigrator): status given to newly registered checks on
+  // already queued profiles ('to_check' runs them, 'passed' lets those profiles skip them),
+  // and where the queue is backed up before records are changed
+  QUEUE_NEW_CHECK_STATUS: ['passed'].includes(process.env.QUEUE_NEW_CHECK_STATUS) ? process.env.QUEUE_NEW_CHECK_STATUS : 'to_check',
+  QUEUE_MIGRATION_BACKUP_DIR: process.env.QUEUE_MIGRATION_BACKUP_DIR || path.join(__dirname, '../queue_backups'),
+  FILTER_RULES_PATH: process.env.FILTER_RULES_PATH || path.join(__dirname, '../filter_rules.json'), // Reloaded automatically when changed
+  CHECK_CACHE_PATH: path.join(__dirname, '../check_results_cache.json'),
+  CHECK_STATS_PATH: path.join(__dirname, '../check_stats.json'), // Learned rejection rates per check
+  DEAD_LETTER_PATH: path.join(__dirname, '../dead_letters.json'), // Profiles the backend rejected with a non-retryable error
+  RESULTS_ARCHIVE_PATH: process.env.RESULTS_ARCHIVE_PATH || path.join(__dirname, '../results_archive.ndjson'), // Final outcome of every completed profile
   LOG_DIR: path.join(parentDir, 'logs'),
   
   // API settings
   API_ENDPOINT: 'https://kuchababok.online/en/links/api/add-link/',
+  API_SEND_CHECK_DETAILS: process.env.API_SEND_CHECK_DETAILS === 'true', // POST check_details in a JSON body (backend must accept POST)
   
   // NEW: API Server settings
   API_PORT: parseInt(process.env.STEAM_PROCESSOR_API_PORT) || 3002,
@@ -57,7 +159,79 @@ const CONFIG = {
   EMPTY_QUEUE_DELAY: 5000, // Delay when queue is empty
   ERROR_DELAY: 30000, // Delay after errors
   MAX_RETRIES: 3, // Max retries for a single API call
-  REQUEST_DELAY: 2000, // Delay between Steam API requests
+  WORKER_CONCURRENCY: parseInteger('WORKER_CONCURRENCY', 0), // Profiles processed in parallel (0 = one worker per connection)
+  
+  // Which profile a worker gets next (see QueueScheduler): highest priority first, then
+  // 'fair' = weighted round-robin between usernames, 'fifo' = queue order
+  QUEUE_SCHEDULING_POLICY: process.env.QUEUE_SCHEDULING_POLICY === 'fifo' ? 'fifo' : 'fair',
+  // Per-username weights for 'fair' (default 1), e.g. "alice=3,bulk_importer=0.5"
+  QUEUE_USER_WEIGHTS: parseNamedNumbers('QUEUE_USER_WEIGHTS', {}),
+  
+  // Batched checks: endpoints that accept many steam IDs per call are validated in groups
+  CHECK_BATCHING_ENABLED: process.env.CHECK_BATCHING_ENABLED !== 'false',
+  CHECK_BATCH_SIZE: Math.min(parseInteger('CHECK_BATCH_SIZE', 100), 100), // Steam allows at most 100 IDs per call
+  
+  // Inventory checks: check name -> Steam inventory app/context. Each one is its own check in the queue
+  // and its own cooldown bucket. Other inventories: community_inventory=753/6, tf2_inventory=440/2, dota2_inventory=570/2
+  INVENTORY_CHECKS: parseInventoryApps('INVENTORY_APPS', {
+    csgo_inventory: { appId: 730, contextId: 2 }
+  }),
+  
+  // GetOwnedGames check (owned_games): off by default - once enabled, new profiles get it and the
+  // startup migration adds it to queued ones (rejecting profiles without CS2 unless filter_rules.json says otherwise)
+  OWNED_GAMES_CHECK_ENABLED: process.env.OWNED_GAMES_CHECK_ENABLED === 'true',
+  
+  // Inventory inspection: 'full' follows more_items/last_assetid pagination, 'first_page' reads a single page
+  INVENTORY_SCAN_MODE: process.env.INVENTORY_SCAN_MODE === 'first_page' ? 'first_page' : 'full',
+  INVENTORY_PAGE_SIZE: Math.min(parseInteger('INVENTORY_PAGE_SIZE', 2000), 2000), // Steam caps count at 2000 per page
+  INVENTORY_MAX_PAGES: parseInteger('INVENTORY_MAX_PAGES', 10), // Safety limit for very large inventories
+  
+  // How long a completed check result is reused for a re-submitted steam ID (hours, 0 = never).
+  // Each check module declares its own cacheTtlHours; override per check with CHECK_CACHE_TTL_HOURS,
+  // e.g. "csgo_inventory=12,steam_level=72"
+  CHECK_CACHE_TTL_HOURS: parseNamedNumbers('CHECK_CACHE_TTL_HOURS', {}),
+  
+  // Check ordering: pending checks run cheapest-and-most-selective first (see CheckPlanner)
+  CHECK_PLANNER_ENABLED: process.env.CHECK_PLANNER_ENABLED !== 'false',
+  // Relative cost per request. Each check module declares its own cost; override per endpoint with
+  // CHECK_ENDPOINT_COSTS, e.g. "inventory=20,friends=8"
+  CHECK_ENDPOINT_COSTS: parseNamedNumbers('CHECK_ENDPOINT_COSTS', {}),
+  
+  // Retry budget for checks failing with a non-cooldown error (e.g. "Unexpected API response").
+  // Attempt n is retried after CHECK_RETRY_BACKOFF_MINUTES[n-1] (last value repeats); after
+  // CHECK_MAX_ATTEMPTS the check moves to the terminal "error" state. Cooldown deferrals don't count.
+  CHECK_MAX_ATTEMPTS: Math.max(parseInteger('CHECK_MAX_ATTEMPTS', 5), 1),
+  CHECK_RETRY_BACKOFF_MINUTES: parseBackoffSequence('CHECK_RETRY_BACKOFF_MINUTES', [1, 5, 15, 60]),
+  // What "error" counts as per check: 'pass', 'fail' or 'hold' (stays in the queue for manual review).
+  // Defaults come from the check modules (cosmetics pass, everything else holds)
+  CHECK_ERROR_POLICIES: parseErrorPolicies('CHECK_ERROR_POLICIES'),
+  
+  // Results archive retention: entries older than RESULTS_ARCHIVE_RETENTION_DAYS or beyond the newest
+  // RESULTS_ARCHIVE_MAX_ENTRIES are dropped by the hourly prune (0 = no limit)
+  RESULTS_ARCHIVE_RETENTION_DAYS: parseInteger('RESULTS_ARCHIVE_RETENTION_DAYS', 90),
+  RESULTS_ARCHIVE_MAX_ENTRIES: parseInteger('RESULTS_ARCHIVE_MAX_ENTRIES', 500000),
+  
+  // Re-validation of rejected profiles (see RevalidationScheduler): a profile rejected by a check listed in
+  // REVALIDATION_DELAY_DAYS is re-enqueued after that many days, at most REVALIDATION_MAX_ATTEMPTS times,
+  // at REVALIDATION_PRIORITY (below fresh submissions). Works from the results archive, so its retention
+  // has to be longer than the delays. Can be overridden via REVALIDATION_DELAY_DAYS, e.g. "steam_level=14,friends=60"
+  REVALIDATION_ENABLED: process.env.REVALIDATION_ENABLED === 'true',
+  REVALIDATION_DELAY_DAYS: parseNamedNumbers('REVALIDATION_DELAY_DAYS', {
+    steam_level: 30,
+    friends: 30,
+    csgo_inventory: 30
+  }),
+  REVALIDATION_MAX_ATTEMPTS: Math.max(parseInteger('REVALIDATION_MAX_ATTEMPTS', 2), 1),
+  REVALIDATION_PRIORITY: parseInteger('REVALIDATION_PRIORITY', -10),
+  REVALIDATION_BATCH_SIZE: parseInteger('REVALIDATION_BATCH_SIZE', 100), // Profiles re-enqueued per hourly run
+  
+  // Token bucket per connection and endpoint: rate = requests per second, burst = bucket size.
+  // 'default' applies to endpoints without an entry. Can be overridden via RATE_LIMITS,
+  // e.g. "inventory=0.05/1,friends=0.5/2" (steamcommunity inventory is far stricter than the Web API)
+  RATE_LIMITS: parseRateLimits('RATE_LIMITS', {
+    default: { rate: 1, burst: 1 },
+    inventory: { rate: 0.1, burst: 2 }
+  }),
   
   // NEW: Exponential backoff sequence for 429 errors (in minutes)
   // Can be overridden via BACKOFF_SEQUENCE_MINUTES environment variable
@@ -105,6 +279,12 @@ console.log('🔄 Exponential backoff sequence for 429 errors:');
 console.log(`   Sequence: ${CONFIG.BACKOFF_SEQUENCE_MINUTES.join('min → ')}min → reset`);
 console.log(`   Max cooldown: ${Math.max(...CONFIG.BACKOFF_SEQUENCE_MINUTES)} minutes`);
 
+// Log rate limits (token buckets per connection and endpoint)
+console.log('🪣 Rate limits per connection:');
+Object.entries(CONFIG.RATE_LIMITS).forEach(([endpoint, { rate, burst }]) => {
+  console.log(`   ${endpoint}: ${rate} req/s, burst ${burst}`);
+});
+
 // Log cooldown duration configuration for other errors
 console.log('📅 Other error cooldown durations:');
 Object.entries(CONFIG.COOLDOWN_DURATIONS).forEach(([key, duration]) => {
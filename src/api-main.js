@@ -1,5 +1,7 @@
 // steam-id-processor/src/api-main.js
+const CONFIG = require('../config/config');
 const ApiServer = require('./api-server');
+const SteamValidator = require('./steam-validator');
 const logger = require('./utils/logger');
 
 class ApiMain {
@@ -36,7 +38,8 @@ class ApiMain {
       logger.info('Starting Steam ID Processor API Server');
       logger.info('=====================================');
       
-      this.apiServer = new ApiServer();
+      // Standalone mode still needs a validator to resolve vanity names at intake
+      this.apiServer = new ApiServer({ steamValidator: new SteamValidator(CONFIG) });
       await this.apiServer.start();
       
       logger.info('✅ API Server started successfully');
@@ -4,13 +4,24 @@ const fs = require('fs-extra');
 const path = require('path');
 const CONFIG = require('../config/config');
 const QueueManager = require('./queue-manager');
+const CheckRegistry = require('./check-registry');
+const ApiService = require('./api-service');
+const DeadLetterStore = require('./dead-letter-store');
+const ResultsArchive = require('./results-archive');
+const QueueTransfer = require('./queue-transfer');
 const logger = require('./utils/logger');
 
 class ApiServer {
-  constructor() {
+  constructor(options = {}) {
     this.app = express();
     this.server = null;
-    this.queueManager = null;
+    this.queueManager = options.queueManager || null; // Shared with the processor so claims and wait stats are visible
+    this.steamValidator = options.steamValidator || null; // Needed to resolve vanity names
+    this.checkPlanner = options.checkPlanner || null; // Only available when running inside the processor
+    this.apiService = options.apiService || new ApiService(CONFIG); // Used to replay dead-lettered profiles
+    this.deadLetterStore = options.deadLetterStore || new DeadLetterStore(CONFIG.DEAD_LETTER_PATH);
+    this.revalidationScheduler = options.revalidationScheduler || null; // Only available when running inside the processor
+    this.checkRegistry = this.steamValidator ? this.steamValidator.checkRegistry : new CheckRegistry(CONFIG);
     this.port = CONFIG.API_PORT || 3002;
     this.setupMiddleware();
     this.setupRoutes();
@@ -32,7 +43,7 @@ class ApiServer {
       res.setHeader('X-Content-Type-Options', 'nosniff');
       res.setHeader('X-Frame-Options', 'DENY');
       res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
       res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
       
       if (req.method === 'OPTIONS') {
@@ -54,17 +65,84 @@ class ApiServer {
   }
 
   setupRoutes() {
-    // Initialize queue manager
-    this.queueManager = new QueueManager(CONFIG);
+    // Initialize queue manager (standalone API server)
+    if (!this.queueManager) {
+      this.queueManager = new QueueManager(CONFIG, this.steamValidator);
+    }
+    this.queueTransfer = new QueueTransfer(this.queueManager);
 
-    // Health check endpoint
-    this.app.get('/health', (req, res) => {
-      res.json({
-        status: 'ok',
-        service: 'steam-id-processor-api',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime()
-      });
+    // Health check endpoint - status `corrupted` while a queue corruption incident is unacknowledged.
+    // Stays 200 then: the platform health check would otherwise restart the instance in a loop
+    this.app.get('/health', async (req, res) => {
+      try {
+        const quarantine = await this.queueManager.getQuarantineStatus();
+        res.json({
+          status: quarantine ? 'corrupted' : 'ok',
+          service: 'steam-id-processor-api',
+          queue_quarantine: quarantine,
+          timestamp: new Date().toISOString(),
+          uptime: process.uptime()
+        });
+      } catch (error) {
+        logger.error(`Error in health check: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to read service health',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Unacknowledged queue corruption incidents (corrupt copy, restore source, profiles restored)
+    this.app.get('/queue/quarantine', async (req, res) => {
+      try {
+        const quarantine = await this.queueManager.getQuarantineStatus();
+        res.json({
+          success: true,
+          corrupted: Boolean(quarantine),
+          quarantine,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error reading queue quarantine: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to read queue quarantine state',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Acknowledge the incidents after checking the restored queue - processing resumes
+    // POST body: { acknowledged_by?: string }
+    this.app.post('/queue/quarantine/acknowledge', async (req, res) => {
+      try {
+        const acknowledgedBy = (req.body && req.body.acknowledged_by) || 'api';
+        const acknowledged = await this.queueManager.acknowledgeQuarantine(acknowledgedBy);
+        if (!acknowledged) {
+          return res.status(404).json({
+            success: false,
+            error: 'No queue corruption incident to acknowledge',
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        res.json({
+          success: true,
+          acknowledged,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error acknowledging queue quarantine: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to acknowledge queue quarantine',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
     });
 
     // Cooldowns status endpoint - REAL IMPLEMENTATION
@@ -109,24 +187,56 @@ class ApiServer {
             continue;
           }
 
+          // Optional priority: higher numbers are processed first (default 0)
+          if (profile.priority !== undefined && !Number.isFinite(Number(profile.priority))) {
+            results.push({
+              success: false,
+              error: 'Invalid priority: must be a number',
+              input: profile.steam_id,
+              username: profile.username
+            });
+            continue;
+          }
+
+          // Accept SteamID64/2/3, profile URLs and vanity names - the queue stores the SteamID64
+          const normalized = await this.queueManager.normalizeSteamIdInput(profile.steam_id);
+          if (!normalized.success) {
+            const failure = {
+              success: false,
+              error: normalized.error,
+              input: profile.steam_id,
+              username: profile.username
+            };
+            if (normalized.deferred) {
+              failure.retry_after_ms = normalized.nextAvailableIn;
+            }
+            results.push(failure);
+            continue;
+          }
+
           // Add to queue using existing queue manager
           const result = await this.queueManager.addProfileToQueue(
-            profile.steam_id, 
-            profile.username
+            normalized.steamId, 
+            profile.username,
+            null,
+            String(profile.steam_id).trim(),
+            { priority: profile.priority }
           );
 
           if (result) {
             results.push({
               success: true,
-              steam_id: profile.steam_id,
+              steam_id: normalized.steamId,
+              input: profile.steam_id,
               username: profile.username,
               added: true
             });
-            logger.info(`API: Added profile ${profile.steam_id} (${profile.username}) to queue`);
+            logger.info(`API: Added profile ${normalized.steamId} (${profile.username}) to queue`);
           } else {
             results.push({
               success: true,
-              steam_id: profile.steam_id,
+              steam_id: normalized.steamId,
+              input: profile.steam_id,
               username: profile.username,
               added: false,
               message: 'Profile already exists in queue'
@@ -159,6 +269,17 @@ class ApiServer {
       try {
         const profiles = await this.queueManager.getQueuedProfiles();
         const stats = await this.queueManager.getQueueStats();
+        if (this.steamValidator) {
+          stats.checkCache = this.steamValidator.resultCache.getStats();
+          stats.rateLimiter = this.steamValidator.rateLimiter.getStats();
+        }
+        if (this.checkPlanner) {
+          stats.checkPlanner = this.checkPlanner.getStats();
+        }
+        stats.deadLetters = await this.deadLetterStore.getStats();
+        if (this.revalidationScheduler) {
+          stats.revalidation = this.revalidationScheduler.getStats();
+        }
 
         res.json({
           success: true,
@@ -180,6 +301,346 @@ class ApiServer {
       }
     });
 
+    // Download the queue (checks state, username, timestamp): ?format=json|csv|ndjson (default json), ?username=
+    this.app.get('/profiles/export', async (req, res) => {
+      try {
+        const format = req.query.format || 'json';
+        if (!QueueTransfer.FORMATS.includes(format)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid format: must be one of ${QueueTransfer.FORMATS.join(', ')}`,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        const { content, count, contentType } = await this.queueTransfer.exportQueue(format, { username: req.query.username });
+        logger.info(`API: Exported ${count} profiles as ${format}`);
+        res.attachment(`queue-export-${Date.now()}.${format}`);
+        res.type(contentType).send(content);
+
+      } catch (error) {
+        logger.error(`Error exporting queue: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to export queue',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Load profiles exported by GET /profiles/export (or the CLI). Body: JSON array (application/json),
+    // NDJSON (application/x-ndjson) or CSV (text/csv); ?format= overrides the Content-Type.
+    // ?mode=skip_existing (default) | merge | replace
+    this.app.post('/profiles/import', express.text({ type: ['text/*', 'application/x-ndjson'], limit: '10mb' }), async (req, res) => {
+      const format = req.query.format ||
+        (req.is('text/csv') ? 'csv' : req.is('application/x-ndjson') ? 'ndjson' : 'json');
+      const mode = req.query.mode || 'skip_existing';
+
+      if (!QueueTransfer.FORMATS.includes(format) || !QueueTransfer.IMPORT_MODES.includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid format or mode: format must be one of ${QueueTransfer.FORMATS.join(', ')}, mode one of ${QueueTransfer.IMPORT_MODES.join(', ')}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      let summary;
+      try {
+        summary = await this.queueTransfer.importQueue(req.body, format, { mode });
+      } catch (error) {
+        // Unparseable content or nothing valid to replace the queue with
+        logger.warn(`API: Queue import rejected: ${error.message}`);
+        return res.status(400).json({
+          success: false,
+          error: 'Import rejected',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.json({
+        success: true,
+        import: summary,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Manual review of a check in the "error" state (or any other check): set it to passed or failed
+    this.app.post('/profiles/:steamId/checks/:checkName', async (req, res) => {
+      try {
+        const { steamId, checkName } = req.params;
+        const status = req.body && req.body.status;
+
+        if (!['passed', 'failed'].includes(status)) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid status: must be 'passed' or 'failed'",
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        const profile = await this.queueManager.getProfileBySteamId(steamId);
+        if (!profile || !(checkName in profile.checks)) {
+          return res.status(404).json({
+            success: false,
+            error: `Check '${checkName}' not found for profile ${steamId}`,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        const updated = await this.queueManager.updateProfileCheckExternal(steamId, checkName, status, 'api-review');
+
+        res.json({
+          success: updated,
+          steam_id: steamId,
+          check: checkName,
+          previous_status: profile.checks[checkName],
+          status,
+          timestamp: new Date().toISOString()
+        });
+
+      } catch (error) {
+        logger.error(`Error reviewing profile check: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update profile check',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Dead-lettered profiles: passed all checks but the backend rejected them with a non-retryable error
+    this.app.get('/dead-letters', async (req, res) => {
+      try {
+        const entries = await this.deadLetterStore.list({ username: req.query.username });
+
+        res.json({
+          success: true,
+          total: entries.length,
+          entries: entries.map(entry => ({
+            steam_id: entry.steam_id,
+            username: entry.username,
+            error: entry.error,
+            http_status: entry.http_status,
+            dead_lettered_at: entry.dead_lettered_at,
+            replay_attempts: entry.replay_attempts,
+            last_replay_error: entry.last_replay_error
+          })),
+          timestamp: new Date().toISOString()
+        });
+
+      } catch (error) {
+        logger.error(`Error listing dead letters: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to list dead-lettered profiles',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    this.app.get('/dead-letters/:steamId', async (req, res) => {
+      try {
+        const entry = await this.deadLetterStore.get(req.params.steamId);
+        if (!entry) {
+          return res.status(404).json({
+            success: false,
+            error: `Profile ${req.params.steamId} is not in the dead-letter store`,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        res.json({ success: true, entry, timestamp: new Date().toISOString() });
+
+      } catch (error) {
+        logger.error(`Error reading dead letter: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to read dead-lettered profile',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Re-submit one profile to the backend; removed from the store on success
+    this.app.post('/dead-letters/:steamId/replay', async (req, res) => {
+      try {
+        const entry = await this.deadLetterStore.get(req.params.steamId);
+        const result = entry ? await this.deadLetterStore.replay(req.params.steamId, this.apiService) : null;
+        if (!result) {
+          return res.status(404).json({
+            success: false,
+            error: `Profile ${req.params.steamId} is not in the dead-letter store`,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        if (result.success) {
+          await this.queueManager.resultsArchive.record({ ...entry, timestamp: entry.queued_at }, { outcome: 'accepted' });
+        }
+
+        res.status(result.success ? 200 : 502).json({
+          success: result.success,
+          steam_id: req.params.steamId,
+          error: result.error,
+          http_status: result.status,
+          timestamp: new Date().toISOString()
+        });
+
+      } catch (error) {
+        logger.error(`Error replaying dead letter: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to replay dead-lettered profile',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Purge one profile, or all of them (optionally only ?username= and/or ?before=<ISO date>)
+    const purgeDeadLetters = async (req, res, filters) => {
+      try {
+        if (filters.before && isNaN(new Date(filters.before).getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid 'before' date",
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        const removed = await this.deadLetterStore.purge(filters);
+        res.json({ success: true, removed, timestamp: new Date().toISOString() });
+
+      } catch (error) {
+        logger.error(`Error purging dead letters: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to purge dead-lettered profiles',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    };
+
+    this.app.delete('/dead-letters/:steamId', (req, res) =>
+      purgeDeadLetters(req, res, { steamIds: [req.params.steamId] })
+    );
+
+    this.app.delete('/dead-letters', (req, res) =>
+      purgeDeadLetters(req, res, { username: req.query.username, before: req.query.before })
+    );
+
+    // On-demand validation of one profile: runs the checks now and returns per-check results.
+    // Nothing is added to the queue or submitted to the backend.
+    // POST body: { steam_id (any accepted input format), checks?: [names], use_cache?: boolean }
+    this.app.post('/validate', (req, res) => {
+      const body = req.body || {};
+      this.validateProfile(res, body.steam_id, body.checks, body.use_cache === true);
+    });
+
+    // Same as POST /validate; ?checks=a,b and ?use_cache=true
+    this.app.get('/validate/:steamId', (req, res) => {
+      const checks = req.query.checks ? String(req.query.checks).split(',').map(name => name.trim()) : undefined;
+      this.validateProfile(res, req.params.steamId, checks, req.query.use_cache === 'true');
+    });
+
+    // Archived outcomes of completed profiles (newest first)
+    // Filters: steam_id, username, outcome, failed_check, from/to (ISO dates on completion), limit, offset
+    this.app.get('/results', async (req, res) => {
+      try {
+        const { steam_id, username, outcome, failed_check, from, to } = req.query;
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 100;
+        const offset = req.query.offset !== undefined ? parseInt(req.query.offset) : 0;
+
+        let validationError = null;
+        if (outcome && !ResultsArchive.OUTCOMES.includes(outcome)) {
+          validationError = `Invalid outcome: must be one of ${ResultsArchive.OUTCOMES.join(', ')}`;
+        } else if ([from, to].some(date => date && isNaN(new Date(date).getTime()))) {
+          validationError = "Invalid 'from' or 'to' date";
+        } else if (isNaN(limit) || limit < 1 || limit > 1000 || isNaN(offset) || offset < 0) {
+          validationError = 'Invalid limit/offset: limit must be 1-1000 and offset >= 0';
+        }
+
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        const result = await this.queueManager.resultsArchive.query({
+          steamId: steam_id,
+          username,
+          outcome,
+          failedCheck: failed_check,
+          from,
+          to,
+          limit,
+          offset
+        });
+
+        res.json({
+          success: true,
+          total: result.total,
+          limit,
+          offset,
+          results: result.entries,
+          timestamp: new Date().toISOString()
+        });
+
+      } catch (error) {
+        logger.error(`Error querying results archive: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to query results archive',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Everything known about one steam ID: archived outcomes plus its current queue/dead-letter state
+    this.app.get('/results/:steamId', async (req, res) => {
+      try {
+        const { steamId } = req.params;
+        const history = await this.queueManager.resultsArchive.query({ steamId, limit: 1000 });
+        const queued = await this.queueManager.getProfileBySteamId(steamId);
+        const deadLetter = await this.deadLetterStore.get(steamId);
+
+        if (history.total === 0 && !queued && !deadLetter) {
+          return res.status(404).json({
+            success: false,
+            error: `No results for ${steamId}`,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        res.json({
+          success: true,
+          steam_id: steamId,
+          in_queue: Boolean(queued),
+          dead_lettered: Boolean(deadLetter),
+          results: history.entries,
+          timestamp: new Date().toISOString()
+        });
+
+      } catch (error) {
+        logger.error(`Error reading results for steam ID: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to read results',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
     // 404 handler
     this.app.use('*', (req, res) => {
       res.status(404).json({
@@ -188,14 +649,122 @@ class ApiServer {
         available_endpoints: [
           'GET /health',
           'GET /health/cooldowns', 
+          'GET /queue/quarantine',
+          'POST /queue/quarantine/acknowledge',
           'POST /profiles',
-          'GET /profiles/queue'
+          'GET /profiles/queue',
+          'GET /profiles/export',
+          'POST /profiles/import',
+          'POST /profiles/:steamId/checks/:checkName',
+          'GET /dead-letters',
+          'GET /dead-letters/:steamId',
+          'POST /dead-letters/:steamId/replay',
+          'DELETE /dead-letters/:steamId',
+          'DELETE /dead-letters',
+          'GET /results',
+          'GET /results/:steamId',
+          'POST /validate',
+          'GET /validate/:steamId'
         ],
         timestamp: new Date().toISOString()
       });
     });
   }
 
+  async validateProfile(res, input, checks, useCache) {
+    try {
+      if (!this.steamValidator) {
+        return res.status(503).json({
+          success: false,
+          error: 'Validation not available (no SteamValidator)',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (!input || typeof input !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required field: steam_id',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (checks !== undefined) {
+        const unknown = Array.isArray(checks)
+          ? checks.filter(name => !this.checkRegistry.has(name))
+          : [checks];
+        if (!Array.isArray(checks) || checks.length === 0 || unknown.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid checks${unknown.length > 0 ? `: ${unknown.join(', ')}` : ''}`,
+            available_checks: this.checkRegistry.getNames(),
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+
+      const normalized = await this.queueManager.normalizeSteamIdInput(input);
+      if (!normalized.success) {
+        return res.status(normalized.deferred ? 503 : 400).json({
+          success: false,
+          input,
+          error: normalized.error,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const validation = await this.steamValidator.validateProfile(normalized.steamId, { checks, useCache });
+
+      const results = {};
+      for (const [checkName, result] of Object.entries(validation.results)) {
+        let status = 'error';
+        if (result.autoPassed) {
+          status = 'auto_passed';
+        } else if (result.deferred) {
+          status = 'deferred';
+        } else if (result.success) {
+          status = result.passed ? 'passed' : 'failed';
+        }
+
+        const { facts, rule, ...details } = result.details || {};
+        results[checkName] = {
+          status,
+          facts: result.facts || facts || null,
+          details,
+          rule: rule || null,
+          cached: result.cached || false,
+          connection: result.connection || null,
+          error: result.error || null
+        };
+      }
+
+      res.json({
+        success: true,
+        input,
+        steam_id: validation.steamId,
+        outcome: validation.outcome,
+        failed_checks: validation.failedChecks,
+        deferred: validation.deferred.map(entry => ({
+          check: entry.check,
+          endpoint: entry.endpoint,
+          estimated_wait_ms: entry.nextAvailableIn,
+          estimated_wait_minutes: entry.nextAvailableIn ? Math.ceil(entry.nextAvailableIn / 60000) : null
+        })),
+        checks: results,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error(`Error validating profile: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to validate profile',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   async getCooldownStatus() {
     try {
       // Read endpoint cooldowns file
@@ -240,7 +809,7 @@ class ApiServer {
         let hasActiveCooldowns = false;
         
         // Check each endpoint for this connection
-        const commonEndpoints = ['inventory', 'friends', 'steam_level', 'animated_avatar', 'avatar_frame', 'mini_profile_background', 'profile_background'];
+        const commonEndpoints = this.checkRegistry.getEndpoints();
         
         for (const endpoint of commonEndpoints) {
           const cooldown = cooldownConn.endpoint_cooldowns[endpoint];
@@ -10,6 +10,7 @@ class ApiService {
   constructor(config) {
     this.config = config;
     this.apiEndpoint = config.API_ENDPOINT;
+    this.sendCheckDetails = config.API_SEND_CHECK_DETAILS === true;
     this.credentials = null;
     this.loadCredentials();
   }
@@ -60,7 +61,10 @@ class ApiService {
     }
   }
 
-  async sendSteamIdToApi(steamId, username) {
+  // checkDetails: optional profile.check_details. Only sent with API_SEND_CHECK_DETAILS, as check_details
+  // in a JSON POST body (a query string that long gets 414 responses); otherwise the plain GET is used.
+  // A 405 to the POST falls back to the GET so the profile is not dead-lettered for it
+  async sendSteamIdToApi(steamId, username, checkDetails = null) {
     if (!this.credentials?.apiKey) {
       return {
         success: false,
@@ -87,10 +91,20 @@ class ApiService {
       };
       
       // Send the request
-      const response = await axios.get(this.apiEndpoint, {
-        params,
-        timeout: 10000
-      });
+      let response;
+      if (checkDetails && this.sendCheckDetails) {
+        try {
+          response = await axios.post(this.apiEndpoint, { check_details: checkDetails }, { params, timeout: 10000 });
+        } catch (error) {
+          if (error.response?.status !== 405) {
+            throw error;
+          }
+          logger.warn(`API endpoint does not accept POST (405), resending ${steamId} without check details`);
+          response = await axios.get(this.apiEndpoint, { params, timeout: 10000 });
+        }
+      } else {
+        response = await axios.get(this.apiEndpoint, { params, timeout: 10000 });
+      }
       
       // Process response
       if (response.status === 200) {
@@ -143,12 +157,14 @@ class ApiService {
     }
   }
 
-  async handleNewSteamId(steamId, username) {
+  async handleNewSteamId(steamId, username, checkDetails = null) {
     const result = {
       steamId,
       username,
       success: false,
-      error: null
+      error: null,
+      status: null, // HTTP status of a rejected submission
+      data: null // Response body of a rejected submission
     };
     
     // Validate username parameter
@@ -160,7 +176,7 @@ class ApiService {
     
     try {
       // Send to API with username from parameter (from queue)
-      const apiResponse = await this.sendSteamIdToApi(steamId, username);
+      const apiResponse = await this.sendSteamIdToApi(steamId, username, checkDetails);
       
       if (apiResponse.success) {
         // Successful API call
@@ -172,6 +188,8 @@ class ApiService {
       // Handle different error types
       const errorMessage = apiResponse.error || 'Unknown error';
       result.error = errorMessage;
+      result.status = apiResponse.status || null;
+      result.data = apiResponse.data || null;
       
       if (errorMessage.includes('Link already exists')) {
         // Link already exists - consider this a success
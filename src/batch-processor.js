@@ -0,0 +1,176 @@
+// steam-id-processor/src/batch-processor.js
+const logger = require('./utils/logger');
+
+class BatchProcessor {
+  constructor(config, steamValidator, queueManager, checkPlanner = null) {
+    this.config = config;
+    this.steamValidator = steamValidator;
+    this.queueManager = queueManager;
+    this.checkPlanner = checkPlanner; // Learns rejection rates from batch results
+    this.enabled = config.CHECK_BATCHING_ENABLED !== false;
+    this.batchSize = config.CHECK_BATCH_SIZE || 100;
+    this.checkRegistry = steamValidator.checkRegistry; // Checks declaring `batch` are batchable
+
+    logger.info(`Batched checks ${this.enabled ? 'enabled' : 'disabled'} (batch size: ${this.batchSize}, checks: ${this.checkRegistry.getBatchCheckNames().join(', ')})`);
+  }
+
+  // Checks the main loop should leave to the batch processor
+  getBatchedCheckNames() {
+    return this.enabled ? this.checkRegistry.getBatchCheckNames() : [];
+  }
+
+  // Run one batch for every batchable check that has pending profiles
+  async processPendingBatches() {
+    const summary = { batches: 0, passed: 0, failed: 0, deferred: 0, retriedIndividually: 0 };
+
+    if (!this.enabled) {
+      return summary;
+    }
+
+    for (const checkName of this.checkRegistry.getBatchCheckNames()) {
+      const result = await this.processBatch(checkName);
+      summary.batches += result.ran ? 1 : 0;
+      summary.passed += result.passed;
+      summary.failed += result.failed;
+      summary.deferred += result.deferred;
+      summary.retriedIndividually += result.retriedIndividually;
+    }
+
+    return summary;
+  }
+
+  async processBatch(checkName) {
+    const check = this.checkRegistry.get(checkName);
+    const result = { ran: false, passed: 0, failed: 0, deferred: 0, retriedIndividually: 0 };
+    const batchSize = Math.min(this.batchSize, check.batch.maxSize || this.batchSize);
+
+    const profiles = await this.queueManager.getProfilesWithPendingCheck(checkName, batchSize);
+    if (profiles.length === 0) {
+      return result;
+    }
+
+    const usernames = new Map(profiles.map(profile => [profile.steam_id, profile.username]));
+
+    // Cached results are applied directly and kept out of the request (re-validations always go to Steam)
+    const cachedResults = {};
+    const steamIds = [];
+    for (const profile of profiles) {
+      const cached = profile.revalidation ? null : this.steamValidator.getCachedCheckResult(profile.steam_id, checkName);
+      if (cached) {
+        cachedResults[profile.steam_id] = cached;
+      } else {
+        steamIds.push(profile.steam_id);
+      }
+    }
+
+    if (Object.keys(cachedResults).length > 0) {
+      await this.applyBatchResults(checkName, cachedResults, usernames, result);
+    }
+
+    if (steamIds.length === 0) {
+      return result;
+    }
+
+    // Whole batch waits on one cooldown: profiles stay "to_check" while the endpoint is blocked
+    if (this.steamValidator.proxyManager.areAllConnectionsInCooldownForEndpoint(check.endpoint)) {
+      logger.debug(`Batch ${checkName}: all connections in cooldown, leaving ${steamIds.length} profiles pending`);
+      return result;
+    }
+
+    logger.info(`📦 Running batched ${checkName} check for ${steamIds.length} profiles`);
+    result.ran = true;
+
+    const batch = await this.steamValidator.trackConnection(() => this.steamValidator.runBatchCheck(checkName, steamIds));
+
+    if (batch.deferred) {
+      // Profiles stay "to_check" and are picked up as one batch again once the cooldown ends
+      const waitTimeMin = Math.ceil((batch.nextAvailableIn || 60000) / 60000);
+      logger.warn(`Batched ${checkName} check for ${steamIds.length} profiles deferred - all connections in cooldown (est. ${waitTimeMin} minutes)`);
+      result.deferred = steamIds.length;
+      return result;
+    }
+
+    // Whole batch failed: degrade to per-profile requests
+    const retryIds = batch.success
+      ? steamIds.filter(steamId => !batch.results[steamId])
+      : steamIds;
+
+    if (!batch.success) {
+      logger.warn(`Batched ${checkName} check failed (${batch.error}), retrying ${steamIds.length} profiles individually`);
+    } else if (retryIds.length > 0) {
+      logger.warn(`Batched ${checkName} check returned no data for ${retryIds.length} profiles, retrying them individually`);
+    }
+
+    // Fan batch results out to the queue
+    if (batch.success) {
+      for (const [steamId, checkResult] of Object.entries(batch.results)) {
+        checkResult.connection = batch.connection || null;
+        this.steamValidator.cacheCheckResult(steamId, checkName, checkResult);
+        this.recordOutcome(checkName, checkResult);
+      }
+      await this.applyBatchResults(checkName, batch.results, usernames, result);
+    }
+
+    for (const steamId of retryIds) {
+      const username = usernames.get(steamId);
+      const checkResult = await this.steamValidator.trackConnection(() => this.steamValidator.runCheck(checkName, steamId));
+      this.steamValidator.cacheCheckResult(steamId, checkName, checkResult);
+      this.recordOutcome(checkName, checkResult);
+      result.retriedIndividually++;
+
+      if (checkResult.success && checkResult.passed) {
+        await this.queueManager.updateProfileCheck(steamId, checkName, "passed", checkResult);
+        result.passed++;
+      } else if (checkResult.success) {
+        logger.info(`Check '${checkName}' for ${steamId} (user: ${username}) failed validation, removing from queue`);
+        await this.queueManager.removeProfileFromQueue(steamId, { outcome: 'rejected', failedCheck: checkName, result: checkResult });
+        result.failed++;
+      } else {
+        // Cooldown or API error - same handling as the per-profile loop
+        logger.warn(`Check '${checkName}' for ${steamId} (user: ${username}) could not be completed: ${checkResult.error}`);
+        if (checkResult.deferred) {
+          await this.queueManager.updateProfileCheck(steamId, checkName, "deferred", checkResult);
+        } else {
+          await this.steamValidator.recordCheckError(this.queueManager, steamId, checkName, checkResult);
+        }
+        result.deferred++;
+
+        // Once the endpoint is in cooldown, the remaining retries would be deferred too
+        if (checkResult.deferred) {
+          logger.info(`Stopping individual ${checkName} retries - endpoint in cooldown, remaining profiles stay pending`);
+          break;
+        }
+      }
+    }
+
+    logger.info(`📦 Batched ${checkName} check complete: ${result.passed} passed, ${result.failed} failed, ${result.deferred} deferred, ${result.retriedIndividually} retried individually`);
+    return result;
+  }
+
+  recordOutcome(checkName, checkResult) {
+    if (this.checkPlanner && checkResult.success) {
+      this.checkPlanner.recordOutcome(checkName, checkResult.passed);
+    }
+  }
+
+  // Write passes in a single queue update and remove profiles that failed validation
+  async applyBatchResults(checkName, results, usernames, summary) {
+    const passedUpdates = [];
+
+    for (const [steamId, checkResult] of Object.entries(results)) {
+      const username = usernames.get(steamId);
+      if (checkResult.passed) {
+        passedUpdates.push({ steamId, checkName, status: "passed", result: checkResult });
+        summary.passed++;
+      } else {
+        logger.info(`Check '${checkName}' for ${steamId} (user: ${username}) failed validation, removing from queue`);
+        await this.queueManager.removeProfileFromQueue(steamId, { outcome: 'rejected', failedCheck: checkName, result: checkResult });
+        summary.failed++;
+      }
+    }
+
+    await this.queueManager.updateProfileChecks(passedUpdates);
+  }
+}
+
+module.exports = BatchProcessor;
@@ -0,0 +1,147 @@
+// steam-id-processor/src/check-planner.js
+const fs = require('fs-extra');
+const logger = require('./utils/logger');
+
+// Prior rejection rate for checks with little history, weighted as PRIOR_WEIGHT observed runs
+const PRIOR_REJECTION_RATE = 0.1;
+const PRIOR_WEIGHT = 20;
+const MIN_REJECTION_RATE = 0.001;
+
+// Orders a profile's pending checks so that cheap, selective checks run first and the scarce
+// inventory/friends budget is only spent on profiles that survived them.
+// Score = effective cost / rejection rate (lower runs first), where the effective cost is the
+// check's cost (CheckRegistry.getCost) scaled by how many connections are currently usable for its endpoint.
+// Checks whose endpoint is in cooldown on every connection go last - they would only be deferred.
+class CheckPlanner {
+  constructor(config, steamValidator) {
+    this.config = config;
+    this.steamValidator = steamValidator;
+    this.statsPath = config.CHECK_STATS_PATH;
+    this.stats = {}; // key: checkName, value: { runs, rejections }
+    this.saveTimer = null;
+    this.saveDelay = 5000;
+    this.loadStats();
+    this.setupCleanupHandlers();
+  }
+
+  setupCleanupHandlers() {
+    process.on('exit', () => this.flush());
+  }
+
+  loadStats() {
+    try {
+      if (this.statsPath && fs.existsSync(this.statsPath)) {
+        const data = JSON.parse(fs.readFileSync(this.statsPath, 'utf8'));
+        this.stats = data.checks || {};
+        logger.info(`Check rejection stats loaded for ${Object.keys(this.stats).length} checks`);
+      }
+    } catch (error) {
+      logger.error(`Error loading check rejection stats: ${error.message}`);
+      this.stats = {};
+    }
+  }
+
+  // Learn from a completed (non-cached) check: passed=false counts as a rejection
+  recordOutcome(checkName, passed) {
+    if (!this.stats[checkName]) {
+      this.stats[checkName] = { runs: 0, rejections: 0 };
+    }
+    this.stats[checkName].runs++;
+    if (!passed) {
+      this.stats[checkName].rejections++;
+    }
+    this.scheduleSave();
+  }
+
+  getRejectionRate(checkName) {
+    const { runs = 0, rejections = 0 } = this.stats[checkName] || {};
+    const rate = (rejections + PRIOR_REJECTION_RATE * PRIOR_WEIGHT) / (runs + PRIOR_WEIGHT);
+    return Math.max(rate, MIN_REJECTION_RATE);
+  }
+
+  // Return checkNames sorted into run order, plus the scores used (for logging)
+  orderChecks(checkNames) {
+    if (checkNames.length <= 1) {
+      return { order: [...checkNames], plan: [] };
+    }
+
+    const { endpointSummary } = this.steamValidator.proxyManager.getConnectionStatus();
+
+    const plan = checkNames.map((checkName, position) => {
+      const endpoint = this.steamValidator.mapCheckTypeToEndpoint(checkName);
+      const summary = endpointSummary[endpoint];
+      const available = summary ? summary.availableConnections : 1;
+      const total = summary ? Math.max(summary.totalConnections, 1) : 1;
+      const cost = this.steamValidator.checkRegistry.getCost(checkName);
+      const rejectionRate = this.getRejectionRate(checkName);
+
+      return {
+        checkName,
+        position,
+        endpoint,
+        inCooldown: available === 0,
+        cost,
+        rejectionRate,
+        score: available === 0 ? Infinity : (cost * total / available) / rejectionRate
+      };
+    });
+
+    // Stable for equal scores, so the original check order breaks ties
+    plan.sort((a, b) => (a.score - b.score) || (a.position - b.position));
+
+    return { order: plan.map(entry => entry.checkName), plan };
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.saveDelay);
+    this.saveTimer.unref();
+  }
+
+  save() {
+    if (!this.statsPath) {
+      return;
+    }
+
+    try {
+      // Sync write then rename: save() also runs from exit handlers, and a torn file would reset the stats
+      const tempPath = `${this.statsPath}.tmp.${Date.now()}.${process.pid}`;
+      fs.writeFileSync(tempPath, JSON.stringify({ checks: this.stats, updated_at: new Date().toISOString() }, null, 2));
+      fs.renameSync(tempPath, this.statsPath);
+    } catch (error) {
+      logger.error(`Error saving check rejection stats: ${error.message}`);
+    }
+  }
+
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.save();
+    }
+  }
+
+  getStats() {
+    const checks = {};
+    for (const [checkName, { runs, rejections }] of Object.entries(this.stats)) {
+      checks[checkName] = {
+        runs,
+        rejections,
+        rejectionRate: Math.round(this.getRejectionRate(checkName) * 1000) / 10
+      };
+    }
+    const checkCosts = {};
+    for (const checkName of this.steamValidator.checkRegistry.getNames()) {
+      checkCosts[checkName] = this.steamValidator.checkRegistry.getCost(checkName);
+    }
+    return { checkCosts, checks };
+  }
+}
+
+module.exports = CheckPlanner;
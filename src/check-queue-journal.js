@@ -0,0 +1,144 @@
+// steam-id-processor/src/check-queue-journal.js
+// Crash-recovery check for the journaled JSON queue (QUEUE_JOURNAL_ENABLED).
+// Usage: npm run check-queue-journal
+// Runs each scenario against throwaway files in a temp directory (the real queue is not touched)
+// and exits with 1 if any of them leaves the queue in the wrong state.
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JournaledJsonQueueStore = require('./queue-stores/journaled-json-queue-store');
+const QueueQuarantine = require('./queue-quarantine');
+const logger = require('./utils/logger');
+
+function makeProfile(steamId, checks = { animated_avatar: 'to_check' }) {
+  return { steam_id: steamId, username: 'check', timestamp: Date.now(), checks, check_details: {} };
+}
+
+// Store as a fresh process would open it after a crash
+function openStore(dir) {
+  return new JournaledJsonQueueStore(path.join(dir, 'profiles_queue.json'), {
+    journalPath: path.join(dir, 'profiles_queue.journal'),
+    quarantine: new QueueQuarantine(path.join(dir, 'queue_quarantine.json'))
+  });
+}
+
+async function queuedSteamIds(store) {
+  return (await store.getAll()).map(profile => profile.steam_id);
+}
+
+const scenarios = {
+  // An append cut short by a crash leaves a line without its newline
+  async 'incomplete last journal line is dropped'(dir) {
+    const writer = openStore(dir);
+    await writer.init();
+    await writer.insert(makeProfile('76561197960265729'));
+    await writer.insert(makeProfile('76561197960265730'));
+    await writer.cleanup();
+    await fs.appendFile(writer.journalPath, '{"op":"insert","profile":{"steam_id":"7656', 'utf8');
+
+    const store = openStore(dir);
+    await store.init();
+    assert.deepStrictEqual(await queuedSteamIds(store), ['76561197960265729', '76561197960265730']);
+    assert.strictEqual((await fs.stat(store.journalPath)).size, 0, 'journal should be folded into the snapshot');
+    assert.ok(!await store.quarantine.isActive(), 'a crash is not a corruption incident');
+    await store.cleanup();
+  },
+
+  // Crash between renaming the new snapshot and truncating the journal: the lines are replayed
+  // onto a snapshot that already contains them
+  async 'journal replayed onto a snapshot that already has it'(dir) {
+    const writer = openStore(dir);
+    await writer.init();
+    await writer.insert(makeProfile('76561197960265729'));
+    await writer.insert(makeProfile('76561197960265730'));
+    await writer.insert(makeProfile('76561197960265731'));
+    await writer.update('76561197960265729', profile => { profile.checks.animated_avatar = 'passed'; });
+    await writer.remove('76561197960265730');
+    await writer.cleanup();
+
+    const journal = await fs.readFile(writer.journalPath, 'utf8');
+    await writer.compact();
+    await writer.cleanup();
+    await fs.writeFile(writer.journalPath, journal, 'utf8');
+
+    const store = openStore(dir);
+    await store.init();
+    const profiles = await store.getAll();
+    assert.deepStrictEqual(profiles.map(profile => profile.steam_id), ['76561197960265729', '76561197960265731']);
+    assert.strictEqual(profiles[0].checks.animated_avatar, 'passed');
+    assert.ok(!await store.quarantine.isActive(), 'a crash is not a corruption incident');
+    await store.cleanup();
+  },
+
+  // The snapshot is rebuilt from <file>.last-good plus the journal written since
+  async 'corrupt snapshot restored from last good copy and journal'(dir) {
+    const writer = openStore(dir);
+    await writer.init();
+    await writer.insert(makeProfile('76561197960265729'));
+    await writer.compact(); // Snapshot (and last good copy) hold the first profile
+    await writer.insert(makeProfile('76561197960265730'));
+    await writer.update('76561197960265729', profile => { profile.checks.animated_avatar = 'passed'; });
+    await writer.cleanup();
+    await fs.writeFile(writer.filePath, '[{"steam_id": "76561197960265729", ', 'utf8');
+
+    const store = openStore(dir);
+    const profiles = await store.getAll();
+    assert.deepStrictEqual(profiles.map(profile => profile.steam_id), ['76561197960265729', '76561197960265730']);
+    assert.strictEqual(profiles[0].checks.animated_avatar, 'passed');
+
+    const status = await store.quarantine.getStatus();
+    assert.ok(status && status.incidents.length === 1, 'the incident should be recorded');
+    assert.ok(await fs.pathExists(status.incidents[0].corrupt_copy), 'the corrupt snapshot should be kept');
+    await store.cleanup();
+  },
+
+  // Journal lines alone only hold the changed profiles - nothing is restored, nothing is overwritten
+  async 'corrupt snapshot without last good copy is left alone'(dir) {
+    const writer = openStore(dir);
+    await writer.init();
+    await writer.insert(makeProfile('76561197960265729'));
+    await writer.cleanup();
+    await fs.remove(writer.lastGoodPath);
+    const corrupt = '[{"steam_id": "76561197960265729", ';
+    await fs.writeFile(writer.filePath, corrupt, 'utf8');
+
+    const store = openStore(dir);
+    await assert.rejects(store.getAll(), /repair it by hand/);
+    assert.strictEqual(await fs.readFile(store.filePath, 'utf8'), corrupt);
+    await store.cleanup();
+  }
+};
+
+async function checkQueueJournal() {
+  let failed = 0;
+
+  for (const [name, scenario] of Object.entries(scenarios)) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'queue-journal-check-'));
+    try {
+      await scenario(dir);
+      logger.info(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      logger.error(`❌ ${name}: ${error.message}`);
+    } finally {
+      await fs.remove(dir);
+    }
+  }
+
+  return { total: Object.keys(scenarios).length, failed };
+}
+
+if (require.main === module) {
+  checkQueueJournal()
+    .then(({ total, failed }) => {
+      logger.info(`Queue journal check: ${total - failed}/${total} scenarios passed`);
+      process.exit(failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      logger.error(`Queue journal check failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = checkQueueJournal;
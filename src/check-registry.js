@@ -0,0 +1,207 @@
+// steam-id-processor/src/check-registry.js
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./utils/logger');
+
+const CHECKS_DIR = path.join(__dirname, 'checks');
+const ERROR_POLICIES = ['pass', 'fail', 'hold'];
+
+// Endpoints used by the processor that are not checks (still need cooldown buckets)
+const NON_CHECK_ENDPOINTS = [
+  { endpoint: 'resolve_vanity', matchUrl: (url) => url.includes('ResolveVanityURL') }
+];
+
+/**
+ * Registry of check modules loaded from src/checks. Each file exports a check module, an array of
+ * them, or a function (config) => module(s). A check module declares:
+ *   name             - key in the profile's `checks` map
+ *   label            - name used in log messages (defaults to name)
+ *   order            - position in the default `checks` map (lower first, default 1000)
+ *   enabled          - false keeps the check runnable for existing queue items but out of new profiles
+ *   endpoint         - cooldown bucket in ProxyManager
+ *   matchUrl(url)    - true if a request URL belongs to this endpoint
+ *   requiresApiKey   - fail early when STEAM_API_KEY is missing
+ *   buildUrl(steamId, context) or fetch(steamId, context) - single-profile request
+ *   interpret(data, context)   - { facts, details, extra? } or null for an unexpected response
+ *   interpretError(status, result, context) - same shape for error statuses that carry an answer, else null
+ *   batch            - { maxSize, buildUrl(steamIds, context), interpret(data, context) => { steamId: { facts, details } } }
+ *   afterRule(result, context) - adjust the result after the rule was applied
+ *   privateProfile   - 'run' (default) or 'auto_pass' once a private profile was detected
+ *   isPrivateProfile(result)   - true if this check's result identifies a private profile
+ *   defaultRule      - rule used when filter_rules.json has none for this check
+ *   errorPolicy      - what the terminal "error" state counts as: 'pass', 'fail' or 'hold' (default)
+ *   cacheTtlHours    - hours a completed result is reused for a re-submitted steam ID (default 24, 0 = never)
+ *   cost             - relative cost of one request, used by CheckPlanner to order checks (default 1)
+ *   timeout, browserHeaders, privateStatuses - request options for the endpoint
+ */
+class CheckRegistry {
+  constructor(config, checksDir = CHECKS_DIR) {
+    this.config = config;
+    this.checksDir = checksDir;
+    this.checks = new Map(); // key: check name, value: check module
+    this.loadErrors = []; // Check module files that failed to load: { file, error }
+    this.loadChecks();
+  }
+
+  loadChecks() {
+    const files = fs.readdirSync(this.checksDir)
+      .filter(file => file.endsWith('.js'))
+      .sort();
+
+    for (const file of files) {
+      try {
+        const exported = require(path.join(this.checksDir, file));
+        const checks = typeof exported === 'function' ? exported(this.config) : exported;
+        [].concat(checks).forEach(check => this.register(check, file));
+      } catch (error) {
+        logger.error(`Error loading check module ${file}: ${error.message}`);
+        this.loadErrors.push({ file, error: error.message });
+      }
+    }
+
+    logger.info(`Check registry loaded ${this.checks.size} checks: ${this.getNames().join(', ')}`);
+  }
+
+  register(check, source = 'inline') {
+    if (!check || !check.name || !check.endpoint) {
+      throw new Error(`Check module from ${source} needs a name and an endpoint`);
+    }
+    if (!check.batch && !check.interpret) {
+      throw new Error(`Check '${check.name}' from ${source} needs interpret() or batch`);
+    }
+    if (check.interpret && !check.buildUrl && !check.fetch) {
+      throw new Error(`Check '${check.name}' from ${source} needs buildUrl() or fetch()`);
+    }
+    if (this.checks.has(check.name)) {
+      logger.warn(`Check '${check.name}' from ${source} replaces an already registered check`);
+    }
+
+    this.checks.set(check.name, {
+      label: check.name,
+      order: 1000,
+      enabled: true,
+      privateProfile: 'run',
+      errorPolicy: 'hold',
+      cacheTtlHours: 24,
+      cost: 1,
+      ...check
+    });
+  }
+
+  get(checkName) {
+    return this.checks.get(checkName) || null;
+  }
+
+  has(checkName) {
+    return this.checks.has(checkName);
+  }
+
+  getAll() {
+    return Array.from(this.checks.values()).sort((a, b) => a.order - b.order);
+  }
+
+  getNames() {
+    return this.getAll().map(check => check.name);
+  }
+
+  // Initial `checks` map for a new queue item
+  getDefaultChecks() {
+    const checks = {};
+    for (const check of this.getAll()) {
+      if (check.enabled) {
+        checks[check.name] = "to_check";
+      }
+    }
+    return checks;
+  }
+
+  getEndpoint(checkName) {
+    const check = this.get(checkName);
+    return check ? check.endpoint : checkName;
+  }
+
+  // All cooldown buckets, including non-check endpoints
+  getEndpoints() {
+    const endpoints = new Set(this.getAll().map(check => check.endpoint));
+    NON_CHECK_ENDPOINTS.forEach(({ endpoint }) => endpoints.add(endpoint));
+    return Array.from(endpoints);
+  }
+
+  getEndpointForUrl(url) {
+    const match = [...this.getAll(), ...NON_CHECK_ENDPOINTS].find(entry => entry.matchUrl && entry.matchUrl(url));
+    return match ? match.endpoint : null;
+  }
+
+  // Request options shared by all checks on an endpoint
+  getEndpointOptions(endpoint) {
+    const check = this.getAll().find(entry => entry.endpoint === endpoint);
+    return {
+      timeout: check && check.timeout ? check.timeout : null,
+      browserHeaders: Boolean(check && check.browserHeaders),
+      privateStatuses: check && check.privateStatuses ? check.privateStatuses : []
+    };
+  }
+
+  getBatchCheckNames() {
+    return this.getAll().filter(check => check.batch).map(check => check.name);
+  }
+
+  getDefaultRules() {
+    const rules = {};
+    for (const check of this.getAll()) {
+      if (check.defaultRule) {
+        rules[check.name] = check.defaultRule;
+      }
+    }
+    return rules;
+  }
+
+  // Policy for a check that ran out of attempts; CHECK_ERROR_POLICIES overrides the module's default
+  getErrorPolicy(checkName) {
+    const override = (this.config.CHECK_ERROR_POLICIES || {})[checkName];
+    if (ERROR_POLICIES.includes(override)) {
+      return override;
+    }
+    const check = this.get(checkName);
+    return check && ERROR_POLICIES.includes(check.errorPolicy) ? check.errorPolicy : 'hold';
+  }
+
+  // Cache TTL (hours) per check name; CHECK_CACHE_TTL_HOURS overrides the modules' cacheTtlHours
+  getCacheTtlHours() {
+    const overrides = this.config.CHECK_CACHE_TTL_HOURS || {};
+    const ttlHours = {};
+    for (const check of this.getAll()) {
+      ttlHours[check.name] = overrides[check.name] !== undefined ? overrides[check.name] : check.cacheTtlHours;
+    }
+    return ttlHours;
+  }
+
+  // Relative request cost of a check; CHECK_ENDPOINT_COSTS overrides the module's cost per endpoint
+  // (an `inventory` override also covers the extra inventory apps, inventory_<app>_<context>)
+  getCost(checkName) {
+    const check = this.get(checkName);
+    if (!check) {
+      return 1;
+    }
+    const overrides = this.config.CHECK_ENDPOINT_COSTS || {};
+    if (overrides[check.endpoint] !== undefined) {
+      return overrides[check.endpoint];
+    }
+    if (check.endpoint.startsWith('inventory_') && overrides.inventory !== undefined) {
+      return overrides.inventory;
+    }
+    return check.cost;
+  }
+
+  autoPassesPrivateProfiles(checkName) {
+    const check = this.get(checkName);
+    return Boolean(check && check.privateProfile === 'auto_pass');
+  }
+
+  detectsPrivateProfile(checkName, result) {
+    const check = this.get(checkName);
+    return Boolean(check && check.isPrivateProfile && result && result.success && check.isPrivateProfile(result));
+  }
+}
+
+module.exports = CheckRegistry;
@@ -0,0 +1,163 @@
+// steam-id-processor/src/check-result-cache.js
+const fs = require('fs-extra');
+const logger = require('./utils/logger');
+
+// Persistent cache of completed check results, keyed by steam ID and check name.
+// Entries keep the facts a check collected (not just passed/failed) so a cache hit
+// is re-evaluated against the current filter rules.
+class CheckResultCache {
+  constructor(cachePath, ttlHours = {}) {
+    this.cachePath = cachePath;
+    this.ttlHours = ttlHours; // key: check name, value: hours (0 = never cache)
+    this.entries = {}; // key: steamId, value: { checkName: { facts, details, cached_at } }
+    this.stats = { hits: 0, misses: 0, stores: 0, expired: 0 };
+    this.saveTimer = null;
+    this.saveDelay = 2000; // Coalesce writes - results arrive one check at a time
+    this.loadCache();
+    this.setupCleanupHandlers();
+  }
+
+  setupCleanupHandlers() {
+    // Persist pending entries when the process exits (SIGINT/SIGTERM handlers call process.exit)
+    process.on('exit', () => this.flush());
+  }
+
+  loadCache() {
+    try {
+      if (fs.existsSync(this.cachePath)) {
+        const data = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+        this.entries = data.entries || {};
+        const removed = this.pruneExpired();
+        logger.info(`Check result cache loaded: ${Object.keys(this.entries).length} profiles (${removed} expired entries dropped)`);
+      } else {
+        logger.info(`Check result cache file not found, starting empty: ${this.cachePath}`);
+      }
+    } catch (error) {
+      logger.error(`Error loading check result cache: ${error.message}`);
+      this.entries = {};
+    }
+  }
+
+  getTtlMs(checkName) {
+    const hours = this.ttlHours[checkName];
+    return typeof hours === 'number' && hours > 0 ? hours * 60 * 60 * 1000 : 0;
+  }
+
+  // Returns the cached entry or null. Counts hits/misses for stats.
+  get(steamId, checkName) {
+    const ttlMs = this.getTtlMs(checkName);
+    if (ttlMs === 0) {
+      return null;
+    }
+
+    const entry = this.entries[steamId]?.[checkName];
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (Date.now() - entry.cached_at > ttlMs) {
+      this.deleteEntry(steamId, checkName);
+      this.stats.expired++;
+      this.stats.misses++;
+      return null;
+    }
+
+    this.stats.hits++;
+    return entry;
+  }
+
+  // Store a successful check result. Results without facts (or for checks with no TTL) are skipped.
+  set(steamId, checkName, result) {
+    if (!result || !result.success || !result.facts || this.getTtlMs(checkName) === 0) {
+      return false;
+    }
+
+    if (!this.entries[steamId]) {
+      this.entries[steamId] = {};
+    }
+
+    // Drop the facts/rule copies inside details - they are stored separately and re-evaluated
+    const { facts, rule, ...details } = result.details || {};
+    this.entries[steamId][checkName] = {
+      facts: result.facts,
+      details,
+      passed: result.passed,
+      cached_at: Date.now()
+    };
+    this.stats.stores++;
+    this.scheduleSave();
+    return true;
+  }
+
+  deleteEntry(steamId, checkName) {
+    if (this.entries[steamId]) {
+      delete this.entries[steamId][checkName];
+      if (Object.keys(this.entries[steamId]).length === 0) {
+        delete this.entries[steamId];
+      }
+    }
+  }
+
+  // Remove expired entries from memory; persisted on the next save
+  pruneExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [steamId, checks] of Object.entries(this.entries)) {
+      for (const [checkName, entry] of Object.entries(checks)) {
+        const ttlMs = this.getTtlMs(checkName);
+        if (ttlMs === 0 || now - entry.cached_at > ttlMs) {
+          this.deleteEntry(steamId, checkName);
+          removed++;
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.saveDelay);
+    this.saveTimer.unref();
+  }
+
+  save() {
+    try {
+      // Write then rename, so a crash mid-write leaves the previous cache intact
+      const tempPath = `${this.cachePath}.tmp.${Date.now()}.${process.pid}`;
+      fs.writeFileSync(tempPath, JSON.stringify({ entries: this.entries }));
+      fs.renameSync(tempPath, this.cachePath);
+      logger.debug(`Saved check result cache (${Object.keys(this.entries).length} profiles)`);
+    } catch (error) {
+      logger.error(`Error saving check result cache: ${error.message}`);
+    }
+  }
+
+  // Write pending changes immediately (used on shutdown)
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.save();
+    }
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 10 : 0,
+      cachedProfiles: Object.keys(this.entries).length
+    };
+  }
+}
+
+module.exports = CheckResultCache;
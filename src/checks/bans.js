@@ -0,0 +1,77 @@
+// steam-id-processor/src/checks/bans.js
+const logger = require('../utils/logger');
+
+// Convert a GetPlayerBans player entry into rule facts
+function buildBanFacts(player) {
+  const vac = player.NumberOfVACBans || 0;
+  const game = player.NumberOfGameBans || 0;
+  const community = Boolean(player.CommunityBanned);
+  const economy = player.EconomyBan || 'none';
+  const tradeBanned = economy !== 'none';
+
+  return {
+    vac,
+    vac_banned: Boolean(player.VACBanned) || vac > 0,
+    game,
+    community,
+    economy,
+    trade_banned: tradeBanned,
+    days_since_last: vac > 0 || game > 0 ? player.DaysSinceLastBan : null,
+    any: vac > 0 || game > 0 || community || tradeBanned
+  };
+}
+
+module.exports = {
+  name: 'bans',
+  label: 'Bans',
+  order: 60,
+  endpoint: 'bans',
+  matchUrl: (url) => url.includes('GetPlayerBans'),
+  requiresApiKey: true,
+  defaultRule: 'bans.vac == 0 && bans.game == 0 && !bans.community && !bans.trade_banned',
+  cacheTtlHours: 24,
+  cost: 1,
+
+  // GetPlayerBans accepts up to 100 comma-separated IDs per call
+  batch: {
+    maxSize: 100,
+
+    buildUrl: (steamIds, { apiKey }) =>
+      `https://api.steampowered.com/ISteamUser/GetPlayerBans/v1/?key=${apiKey}&steamids=${steamIds.join(',')}`,
+
+    // GetPlayerBans has no "response" wrapper - players is at the top level
+    interpret(data, { steamIds }) {
+      if (!data || !Array.isArray(data.players)) {
+        return null;
+      }
+
+      const results = {};
+      for (const player of data.players) {
+        if (!steamIds.includes(player.SteamId)) {
+          continue;
+        }
+
+        results[player.SteamId] = {
+          facts: { bans: buildBanFacts(player) },
+          details: {
+            vac_bans: player.NumberOfVACBans,
+            game_bans: player.NumberOfGameBans,
+            community_banned: player.CommunityBanned,
+            economy_ban: player.EconomyBan,
+            days_since_last_ban: player.DaysSinceLastBan
+          }
+        };
+      }
+      return results;
+    }
+  },
+
+  // A profile can pass the rule (e.g. old VAC ban allowed) and still carry bans - flag it
+  afterRule(result, { steamId }) {
+    if (result.passed && result.facts.bans.any) {
+      result.details.flagged = true;
+      logger.info(`Bans check for ${steamId} passed but profile has bans on record (flagged)`);
+    }
+    return result;
+  }
+};
@@ -0,0 +1,37 @@
+// steam-id-processor/src/checks/cosmetics.js
+
+// Profile cosmetics from IPlayerService. Each item is its own check with its own cooldown bucket.
+// field: key of the item in the response (the mini profile background is also returned as "profile_background")
+const COSMETICS = [
+  { name: 'animated_avatar', label: 'Animated avatar', method: 'GetAnimatedAvatar', field: 'avatar', order: 10 },
+  { name: 'avatar_frame', label: 'Avatar frame', method: 'GetAvatarFrame', field: 'avatar_frame', order: 20 },
+  { name: 'mini_profile_background', label: 'Mini profile background', method: 'GetMiniProfileBackground', field: 'profile_background', order: 30 },
+  { name: 'profile_background', label: 'Profile background', method: 'GetProfileBackground', field: 'profile_background', order: 40 }
+];
+
+module.exports = COSMETICS.map(({ name, label, method, field, order }) => ({
+  name,
+  label,
+  order,
+  endpoint: name,
+  matchUrl: (url) => url.includes(`/${method}/`),
+  defaultRule: `!cosmetics.${name}`,
+  errorPolicy: 'pass', // A cosmetics lookup that keeps failing is not worth holding the profile for
+  cacheTtlHours: 72,
+  cost: 1,
+
+  buildUrl: (steamId) => `https://api.steampowered.com/IPlayerService/${method}/v1/?steamid=${steamId}`,
+
+  interpret(data) {
+    if (!data.response || !(field in data.response)) {
+      return null;
+    }
+
+    // An empty object/array means the profile has no such item
+    const hasItem = Boolean(data.response[field] && Object.keys(data.response[field]).length > 0);
+    return {
+      facts: { cosmetics: { [name]: hasItem } },
+      details: hasItem ? data.response : {}
+    };
+  }
+}));
@@ -0,0 +1,43 @@
+// steam-id-processor/src/checks/friends.js
+
+const privateFriendList = () => ({
+  facts: { friends: 0, privacy: { friends_private: true } },
+  details: { error: "Private profile - cannot check friends" },
+  extra: { count: 0 }
+});
+
+module.exports = {
+  name: 'friends',
+  label: 'Friends',
+  order: 80,
+  endpoint: 'friends',
+  matchUrl: (url) => url.includes('GetFriendList'),
+  requiresApiKey: true,
+  privateStatuses: [401],
+  privateProfile: 'auto_pass',
+  defaultRule: 'privacy.friends_private || friends <= 60',
+  cacheTtlHours: 72,
+  cost: 5,
+
+  buildUrl: (steamId, { apiKey }) =>
+    `https://api.steampowered.com/ISteamUser/GetFriendList/v0001/?key=${apiKey}&steamid=${steamId}&relationship=friend`,
+
+  interpret(data) {
+    if (!data.friendslist || !data.friendslist.friends) {
+      return null;
+    }
+
+    const friendsCount = data.friendslist.friends.length;
+    return {
+      facts: { friends: friendsCount, privacy: { friends_private: false } },
+      details: {
+        friends_count: friendsCount,
+        sample_friends: data.friendslist.friends.slice(0, 3)
+      },
+      extra: { count: friendsCount }
+    };
+  },
+
+  // Private profiles answer 401
+  interpretError: (status) => status === 401 ? privateFriendList() : null
+};
@@ -0,0 +1,234 @@
+// steam-id-processor/src/checks/inventory.js
+const logger = require('../utils/logger');
+
+// CS2 "Type" tag internal names, grouped into the item types rules can refer to
+const WEAPON_SKIN_TYPES = [
+  'CSGO_Type_Pistol', 'CSGO_Type_SMG', 'CSGO_Type_Rifle', 'CSGO_Type_SniperRifle',
+  'CSGO_Type_Shotgun', 'CSGO_Type_Machinegun', 'CSGO_Type_Knife', 'Type_Hands'
+];
+
+// marketable only counts the pages read: a scan cut short by INVENTORY_MAX_PAGES must not pass on it
+const DEFAULT_INVENTORY_RULE = 'inventory.private || inventory.items == 0 || (inventory.complete && inventory.marketable == 0)';
+
+// Default rules for the inventories we know about; other configured check names need a rule in filter_rules.json
+const KNOWN_INVENTORY_RULES = {
+  csgo_inventory: DEFAULT_INVENTORY_RULE,
+  community_inventory: DEFAULT_INVENTORY_RULE,
+  tf2_inventory: DEFAULT_INVENTORY_RULE,
+  dota2_inventory: DEFAULT_INVENTORY_RULE
+};
+
+function classifyInventoryType(typeTag) {
+  const internalName = typeTag ? typeTag.internal_name : null;
+  if (internalName === 'CSGO_Type_WeaponCase') return 'case';
+  if (internalName === 'CSGO_Tool_Sticker') return 'sticker';
+  if (WEAPON_SKIN_TYPES.includes(internalName)) return 'weapon_skin';
+  return 'other';
+}
+
+// Each inventory app/context has its own cooldown bucket. CS2 (730/2) keeps the original 'inventory' name
+// so existing cooldown files stay valid.
+function getInventoryEndpointName(appId, contextId) {
+  if (String(appId) === '730' && String(contextId) === '2') return 'inventory';
+  return `inventory_${appId}_${contextId}`;
+}
+
+// Fetch an inventory, following more_items/last_assetid unless INVENTORY_SCAN_MODE is 'first_page'.
+// Returns { success: true, data: { items, totalCount, pages, complete } } with each asset joined to its
+// description, or the failing page's request result (cooldown or error) unchanged.
+async function fetchInventory(steamId, appId, contextId, { config, request }) {
+  const fullScan = config.INVENTORY_SCAN_MODE !== 'first_page';
+  const pageSize = config.INVENTORY_PAGE_SIZE || 2000;
+  const maxPages = fullScan ? (config.INVENTORY_MAX_PAGES || 10) : 1;
+
+  const items = [];
+  let totalCount = null;
+  let pages = 0;
+  let startAssetId = null;
+  let moreItems = false;
+
+  do {
+    let url = `https://steamcommunity.com/inventory/${steamId}/${appId}/${contextId}?l=english&count=${pageSize}`;
+    if (startAssetId) {
+      url += `&start_assetid=${startAssetId}`;
+    }
+
+    const result = await request(url);
+
+    // A cooldown or error mid-scan fails the whole check - a partial inventory would be judged wrongly
+    if (!result.success) {
+      return result;
+    }
+
+    pages++;
+    const data = result.data || {};
+
+    // Descriptions are shared between identical assets, keyed by classid + instanceid
+    const descriptions = new Map();
+    for (const description of data.descriptions || []) {
+      descriptions.set(`${description.classid}_${description.instanceid || '0'}`, description);
+    }
+
+    for (const asset of data.assets || []) {
+      const description = descriptions.get(`${asset.classid}_${asset.instanceid || '0'}`) || {};
+      items.push({
+        assetid: asset.assetid,
+        amount: parseInt(asset.amount) || 1,
+        market_hash_name: description.market_hash_name || null,
+        marketable: description.marketable === 1,
+        tradable: description.tradable === 1,
+        tags: description.tags || []
+      });
+    }
+
+    if (typeof data.total_inventory_count === 'number') {
+      totalCount = data.total_inventory_count;
+    }
+
+    moreItems = Boolean(data.more_items) && Boolean(data.last_assetid);
+    startAssetId = data.last_assetid;
+  } while (moreItems && pages < maxPages);
+
+  if (moreItems) {
+    logger.warn(`Inventory scan for ${steamId} stopped after ${pages} pages (${items.length} items read)`);
+  }
+
+  return {
+    success: true,
+    data: {
+      items,
+      totalCount: totalCount !== null ? totalCount : items.length,
+      pages,
+      complete: !moreItems
+    }
+  };
+}
+
+// Convert a fetched inventory into rule facts. Counts are per asset; pass null for a private inventory.
+function buildInventoryFacts(inventory) {
+  if (!inventory) {
+    return {
+      private: true,
+      items: 0,
+      complete: false,
+      marketable: 0,
+      tradable: 0,
+      non_marketable: 0,
+      types: { case: 0, sticker: 0, weapon_skin: 0, other: 0 },
+      rarity: {}
+    };
+  }
+
+  const facts = {
+    private: false,
+    items: inventory.totalCount,
+    complete: inventory.complete,
+    marketable: 0,
+    tradable: 0,
+    non_marketable: 0,
+    types: { case: 0, sticker: 0, weapon_skin: 0, other: 0 },
+    rarity: {}
+  };
+
+  for (const item of inventory.items) {
+    if (item.marketable) {
+      facts.marketable++;
+    } else {
+      facts.non_marketable++;
+    }
+    if (item.tradable) {
+      facts.tradable++;
+    }
+
+    const typeTag = item.tags.find(tag => tag.category === 'Type');
+    facts.types[classifyInventoryType(typeTag)]++;
+
+    // Rarity keys are the English tag names in snake_case, e.g. "mil_spec_grade", "covert"
+    const rarityTag = item.tags.find(tag => tag.category === 'Rarity');
+    if (rarityTag) {
+      const rarity = (rarityTag.localized_tag_name || rarityTag.internal_name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_|_$/g, '');
+      if (rarity) {
+        facts.rarity[rarity] = (facts.rarity[rarity] || 0) + 1;
+      }
+    }
+  }
+
+  return facts;
+}
+
+function createInventoryCheck(name, { appId, contextId }, index, enabled) {
+  const label = `Inventory ${appId}/${contextId} (${name})`;
+  const urlPattern = new RegExp(`/inventory/\\d+/${appId}/${contextId}(\\?|$)`);
+
+  return {
+    name,
+    label,
+    order: 100 + index,
+    enabled,
+    endpoint: getInventoryEndpointName(appId, contextId),
+    matchUrl: (url) => urlPattern.test(url),
+    timeout: 25000,
+    browserHeaders: true,
+    privateStatuses: [403],
+    privateProfile: 'auto_pass',
+    defaultRule: KNOWN_INVENTORY_RULES[name] || null,
+    cacheTtlHours: 24,
+    cost: 10,
+
+    fetch: (steamId, context) => fetchInventory(steamId, appId, contextId, context),
+
+    interpret(inventory, { steamId }) {
+      const facts = { inventory: buildInventoryFacts(inventory) };
+
+      if (facts.inventory.items === 0) {
+        logger.info(`${label} check for ${steamId}: empty inventory`);
+        return { facts, details: { note: "Empty inventory" } };
+      }
+
+      logger.info(`${label} check for ${steamId}: found ${facts.inventory.items} items (${facts.inventory.marketable} marketable, ${inventory.pages} pages${facts.inventory.complete ? '' : ', incomplete'})`);
+      return {
+        facts,
+        details: {
+          note: "Public inventory with items found",
+          item_count: facts.inventory.items,
+          pages: inventory.pages,
+          sample_items: inventory.items.slice(0, 3).map(item => ({
+            assetid: item.assetid,
+            name: item.market_hash_name,
+            marketable: item.marketable,
+            tradable: item.tradable
+          }))
+        }
+      };
+    },
+
+    // Private (403) and unauthorized (401) inventories cannot be checked - this is desirable
+    interpretError(status, result, { steamId }) {
+      if (status !== 401 && status !== 403) {
+        return null;
+      }
+      const errorType = status === 401 ? "Unauthorized access" : "Private inventory";
+      logger.info(`${label} check for ${steamId}: ${errorType.toLowerCase()}`);
+      return {
+        facts: { inventory: buildInventoryFacts(null) },
+        details: { note: `${errorType} - cannot check (this is desirable)` }
+      };
+    }
+  };
+}
+
+// One check per configured app/context (INVENTORY_CHECKS). csgo_inventory is always registered so
+// queue items created before a config change keep working, but only added to new profiles when configured.
+module.exports = (config) => {
+  const apps = config.INVENTORY_CHECKS || { csgo_inventory: { appId: 730, contextId: 2 } };
+  const checks = Object.entries(apps).map(([name, app], index) => createInventoryCheck(name, app, index, true));
+
+  if (!apps.csgo_inventory) {
+    checks.push(createInventoryCheck('csgo_inventory', { appId: 730, contextId: 2 }, checks.length, false));
+  }
+
+  return checks;
+};
@@ -0,0 +1,74 @@
+// steam-id-processor/src/checks/owned-games.js
+const logger = require('../utils/logger');
+
+// Convert a GetOwnedGames response into rule facts (playtimes in minutes, as returned by Steam).
+// Pass null for a private game list.
+function buildOwnedGamesFacts(response) {
+  if (!response) {
+    return {
+      private: true,
+      count: null,
+      owns_cs2: null,
+      cs2_playtime: null,
+      cs2_playtime_hours: null,
+      cs2_playtime_2weeks: null,
+      playtime_2weeks: null
+    };
+  }
+
+  const games = Array.isArray(response.games) ? response.games : [];
+  const cs2 = games.find(game => game.appid === 730);
+  const playtime2Weeks = games.reduce((total, game) => total + (game.playtime_2weeks || 0), 0);
+
+  return {
+    private: false,
+    count: response.game_count || games.length,
+    owns_cs2: Boolean(cs2),
+    cs2_playtime: cs2 ? cs2.playtime_forever || 0 : 0,
+    cs2_playtime_hours: cs2 ? Math.floor((cs2.playtime_forever || 0) / 60) : 0,
+    cs2_playtime_2weeks: cs2 ? cs2.playtime_2weeks || 0 : 0,
+    playtime_2weeks: playtime2Weeks
+  };
+}
+
+// Opt-in (OWNED_GAMES_CHECK_ENABLED): disabled, it stays runnable for queue items that already have it
+module.exports = (config) => ({
+  name: 'owned_games',
+  label: 'Owned games',
+  order: 90,
+  enabled: config.OWNED_GAMES_CHECK_ENABLED === true,
+  endpoint: 'owned_games',
+  matchUrl: (url) => url.includes('GetOwnedGames'),
+  requiresApiKey: true,
+  defaultRule: 'games.private || games.owns_cs2',
+  cacheTtlHours: 72,
+  cost: 2,
+
+  buildUrl: (steamId, { apiKey }) =>
+    `https://api.steampowered.com/IPlayerService/GetOwnedGames/v1/?key=${apiKey}&steamid=${steamId}&include_played_free_games=1`,
+
+  interpret(data, { steamId }) {
+    if (!data.response) {
+      return null;
+    }
+
+    // Private game details return an empty response - the rule decides (games.private)
+    if (!('game_count' in data.response)) {
+      logger.info(`Owned games check for ${steamId}: private game list`);
+      return {
+        facts: { games: buildOwnedGamesFacts(null) },
+        details: { note: "Private game list - cannot check" }
+      };
+    }
+
+    const facts = { games: buildOwnedGamesFacts(data.response) };
+    return {
+      facts,
+      details: {
+        game_count: facts.games.count,
+        cs2_playtime_minutes: facts.games.cs2_playtime,
+        playtime_2weeks_minutes: facts.games.playtime_2weeks
+      }
+    };
+  }
+});
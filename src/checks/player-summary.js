@@ -0,0 +1,67 @@
+// steam-id-processor/src/checks/player-summary.js
+
+// Convert a GetPlayerSummaries player entry into rule facts.
+// timecreated is hidden for private profiles and lastlogoff is not always present,
+// so the derived day counts are null when the source field is missing.
+function buildSummaryFacts(player) {
+  const now = Date.now();
+  const daysSince = (unixSeconds) => unixSeconds
+    ? Math.floor((now - unixSeconds * 1000) / (24 * 60 * 60 * 1000))
+    : null;
+
+  return {
+    timecreated: player.timecreated || null,
+    account_age_days: daysSince(player.timecreated),
+    visibility: player.communityvisibilitystate,
+    public: player.communityvisibilitystate === 3,
+    profile_state: player.profilestate || 0,
+    profile_configured: player.profilestate === 1,
+    lastlogoff: player.lastlogoff || null,
+    days_since_logoff: daysSince(player.lastlogoff)
+  };
+}
+
+module.exports = {
+  name: 'player_summary',
+  label: 'Player summary',
+  order: 50,
+  endpoint: 'player_summary',
+  matchUrl: (url) => url.includes('GetPlayerSummaries'),
+  requiresApiKey: true,
+  defaultRule: 'summary.profile_configured',
+  cacheTtlHours: 24,
+  cost: 1,
+
+  // GetPlayerSummaries accepts up to 100 comma-separated IDs per call
+  batch: {
+    maxSize: 100,
+
+    buildUrl: (steamIds, { apiKey }) =>
+      `https://api.steampowered.com/ISteamUser/GetPlayerSummaries/v0002/?key=${apiKey}&steamids=${steamIds.join(',')}`,
+
+    // Returns { steamId: { facts, details } } - IDs missing from the response are left out
+    interpret(data, { steamIds }) {
+      if (!data.response || !Array.isArray(data.response.players)) {
+        return null;
+      }
+
+      const results = {};
+      for (const player of data.response.players) {
+        if (!steamIds.includes(player.steamid)) {
+          continue;
+        }
+
+        results[player.steamid] = {
+          facts: { summary: buildSummaryFacts(player) },
+          details: {
+            timecreated: player.timecreated || null,
+            communityvisibilitystate: player.communityvisibilitystate,
+            profilestate: player.profilestate || 0,
+            lastlogoff: player.lastlogoff || null
+          }
+        };
+      }
+      return results;
+    }
+  }
+};
@@ -0,0 +1,46 @@
+// steam-id-processor/src/checks/steam-level.js
+const logger = require('../utils/logger');
+
+module.exports = {
+  name: 'steam_level',
+  label: 'Steam level',
+  order: 70,
+  endpoint: 'steam_level',
+  matchUrl: (url) => url.includes('GetSteamLevel'),
+  requiresApiKey: true,
+  defaultRule: 'privacy.private || level <= 13',
+  cacheTtlHours: 168, // Levels only go up
+  cost: 1,
+
+  // An empty GetSteamLevel response is how private profiles show up
+  isPrivateProfile: (result) => Boolean(result.facts && result.facts.privacy && result.facts.privacy.private),
+
+  buildUrl: (steamId, { apiKey }) =>
+    `https://api.steampowered.com/IPlayerService/GetSteamLevel/v1/?key=${apiKey}&steamid=${steamId}`,
+
+  interpret(data, { steamId }) {
+    if (!data.response) {
+      return null;
+    }
+
+    if (Object.keys(data.response).length === 0) {
+      logger.info(`Private profile detected for ${steamId} (empty GetSteamLevel response)`);
+      return {
+        facts: { level: 0, privacy: { private: true } },
+        details: { note: "Empty response from API - private profile detected" },
+        extra: { level: 0, isPrivateProfile: true }
+      };
+    }
+
+    if (!('player_level' in data.response)) {
+      return null;
+    }
+
+    const playerLevel = data.response.player_level;
+    return {
+      facts: { level: playerLevel, privacy: { private: false } },
+      details: { player_level: playerLevel },
+      extra: { level: playerLevel, isPrivateProfile: false }
+    };
+  }
+};
@@ -0,0 +1,164 @@
+// steam-id-processor/src/dead-letter-store.js
+const fs = require('fs-extra');
+const QueueFileManager = require('./utils/queue-file-manager');
+const logger = require('./utils/logger');
+
+// Profiles that passed every check but were rejected by the backend with a non-retryable error.
+// One entry per steam ID (a later failure replaces the earlier entry), stored as a JSON array next
+// to the queue and protected by the same lock file mechanism, so the processor and a standalone
+// API server can share it. An unreadable file is moved aside (<file>.corrupt-<timestamp>) rather
+// than overwritten, so its entries can still be recovered by hand.
+class DeadLetterStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.fileManager = new QueueFileManager(filePath);
+  }
+
+  // Internal method without locking - for use within withFileLock operations
+  async _readEntriesInternal() {
+    if (!await fs.pathExists(this.filePath)) {
+      return [];
+    }
+
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      if (!Array.isArray(parsed)) {
+        throw new Error(`expected an array, got ${typeof parsed}`);
+      }
+      return parsed;
+    } catch (error) {
+      // Returning [] with the file in place would let the next write drop every entry
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      await fs.move(this.filePath, corruptPath);
+      logger.error(`Dead-letter file is unreadable (${error.message}) - moved to ${corruptPath}, starting a new one`);
+      return [];
+    }
+  }
+
+  // Internal method without locking - for use within withFileLock operations
+  async _writeEntriesInternal(entries) {
+    const tempPath = `${this.filePath}.tmp.${Date.now()}.${process.pid}`;
+    await fs.writeFile(tempPath, JSON.stringify(entries, null, 2), 'utf8');
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  // profile: queue item (with checks/check_details), apiResult: ApiService.handleNewSteamId result
+  async add(profile, apiResult) {
+    const entry = {
+      steam_id: profile.steam_id,
+      username: profile.username,
+      original_input: profile.original_input || null,
+      priority: profile.priority || 0,
+      queued_at: profile.timestamp || null,
+      error: apiResult.error || 'Unknown error',
+      http_status: apiResult.status || null,
+      response: apiResult.data || null,
+      checks: profile.checks,
+      check_details: profile.check_details || {},
+      dead_lettered_at: new Date().toISOString(),
+      replay_attempts: 0,
+      last_replay_at: null,
+      last_replay_error: null,
+      last_replay_status: null
+    };
+
+    await this.fileManager.withFileLock(async () => {
+      const entries = await this._readEntriesInternal();
+      const remaining = entries.filter(existing => existing.steam_id !== entry.steam_id);
+      remaining.push(entry);
+      await this._writeEntriesInternal(remaining);
+    }, { operationName: `deadLetterAdd_${entry.steam_id}` });
+
+    logger.warn(`☠️ Dead-lettered ${entry.steam_id} (user: ${entry.username}): ${entry.http_status ? `${entry.http_status} - ` : ''}${entry.error}`);
+    return entry;
+  }
+
+  async getAll() {
+    // Not readOnly: the lock manager creates the file ("[]") on first use instead of failing
+    return this.fileManager.withFileLock(() => this._readEntriesInternal(), { operationName: 'deadLetterRead' });
+  }
+
+  // filters: { username }
+  async list(filters = {}) {
+    const entries = await this.getAll();
+    return entries.filter(entry => !filters.username || entry.username === filters.username);
+  }
+
+  async get(steamId) {
+    const entries = await this.getAll();
+    return entries.find(entry => entry.steam_id === steamId) || null;
+  }
+
+  // Re-submit an entry through the ApiService. Succeeded (or "already exists") entries are removed,
+  // failed ones stay with the replay error recorded. Returns { success, error, status } or null if unknown.
+  async replay(steamId, apiService) {
+    const entry = await this.get(steamId);
+    if (!entry) {
+      return null;
+    }
+
+    logger.info(`Replaying dead-lettered ${steamId} (user: ${entry.username})`);
+    const apiResult = await apiService.handleNewSteamId(entry.steam_id, entry.username, entry.check_details);
+
+    await this.fileManager.withFileLock(async () => {
+      const entries = await this._readEntriesInternal();
+      const current = entries.find(existing => existing.steam_id === steamId);
+      if (!current) {
+        return;
+      }
+
+      if (apiResult.success) {
+        await this._writeEntriesInternal(entries.filter(existing => existing !== current));
+      } else {
+        current.replay_attempts = (current.replay_attempts || 0) + 1;
+        current.last_replay_at = new Date().toISOString();
+        current.last_replay_error = apiResult.error || 'Unknown error';
+        current.last_replay_status = apiResult.status || null;
+        await this._writeEntriesInternal(entries);
+      }
+    }, { operationName: `deadLetterReplay_${steamId}` });
+
+    if (apiResult.success) {
+      logger.info(`Replay of ${steamId} (user: ${entry.username}) succeeded, removed from dead-letter store`);
+    } else {
+      logger.warn(`Replay of ${steamId} (user: ${entry.username}) failed: ${apiResult.error}`);
+    }
+
+    return { success: apiResult.success, error: apiResult.error || null, status: apiResult.status || null };
+  }
+
+  // filters: { steamIds, username, before (ISO date or timestamp) } - no filters removes everything.
+  // Returns the number of removed entries.
+  async purge(filters = {}) {
+    const before = filters.before ? new Date(filters.before).getTime() : null;
+
+    return this.fileManager.withFileLock(async () => {
+      const entries = await this._readEntriesInternal();
+      const remaining = entries.filter(entry => {
+        const matches =
+          (!filters.steamIds || filters.steamIds.includes(entry.steam_id)) &&
+          (!filters.username || entry.username === filters.username) &&
+          (before === null || new Date(entry.dead_lettered_at).getTime() < before);
+        return !matches;
+      });
+
+      const removed = entries.length - remaining.length;
+      if (removed > 0) {
+        await this._writeEntriesInternal(remaining);
+        logger.info(`Purged ${removed} dead-lettered profiles`);
+      }
+      return removed;
+    }, { operationName: 'deadLetterPurge' });
+  }
+
+  async getStats() {
+    const entries = await this.getAll();
+    const byUsername = {};
+    entries.forEach(entry => {
+      byUsername[entry.username] = (byUsername[entry.username] || 0) + 1;
+    });
+    return { total: entries.length, byUsername };
+  }
+}
+
+module.exports = DeadLetterStore;
@@ -4,14 +4,22 @@ const FileManager = require('./file-manager');
 const SteamValidator = require('./steam-validator');
 const ApiService = require('./api-service');
 const QueueManager = require('./queue-manager');
+const BatchProcessor = require('./batch-processor');
+const CheckPlanner = require('./check-planner');
+const WorkerPool = require('./worker-pool');
+const DeadLetterStore = require('./dead-letter-store');
+const RevalidationScheduler = require('./revalidation-scheduler');
+const QueueSchemaMigrator = require('./queue-schema-migrator');
 const ApiServer = require('./api-server'); // NUEVO
 const logger = require('./utils/logger');
 
 // Global state variables
-let isProcessing = false;
+let isProcessing = false; // Deferred checks and batches (shared by all workers)
 let apiServer = null; // NUEVO
+let workerPool = null;
 
-async function processQueuedProfiles(steamValidator, apiService, queueManager) {
+// Work that is not tied to a single profile; profiles themselves are handled by the worker pool
+async function processQueuedProfiles(steamValidator, queueManager, batchProcessor, checkPlanner) {
   if (isProcessing) {
     logger.debug('Processing already in progress, skipping');
     return;
@@ -21,34 +29,46 @@ async function processQueuedProfiles(steamValidator, apiService, queueManager) {
   logger.debug(`🔍 [DEBUG] Starting processQueuedProfiles`);
   
   try {
+    // Nothing runs on a queue restored after corruption until an operator acknowledges it
+    if (await queueManager.isProcessingPaused()) {
+      return;
+    }
+    
     // Process deferred checks first if connections are available
     logger.debug(`🔍 [DEBUG] Processing deferred checks...`);
-    const deferredResult = await steamValidator.processDeferredChecks(queueManager);
+    const deferredResult = await steamValidator.processDeferredChecks(queueManager, checkPlanner);
     if (deferredResult.processed > 0) {
       logger.info(`Processed ${deferredResult.processed} deferred checks, ${deferredResult.remaining} remaining`);
     } else {
       logger.debug(`🔍 [DEBUG] No deferred checks were processed (processed: ${deferredResult.processed}, remaining: ${deferredResult.remaining})`);
     }
     
-    // Find next processable profile from queue
-    logger.debug(`🔍 [DEBUG] Getting next processable profile...`);
-    const profile = await queueManager.getNextProcessableProfile();
-    
-    if (!profile) {
-      logger.debug('🔍 [DEBUG] No processable profiles in queue');
-      isProcessing = false;
-      return;
+    // Run multi-ID checks (player summaries, bans) in batches before per-profile checks
+    const batchResult = await batchProcessor.processPendingBatches();
+    if (batchResult.batches > 0) {
+      logger.debug(`🔍 [DEBUG] Batches run: ${JSON.stringify(batchResult)}`);
     }
-    
+  } catch (error) {
+    logger.error(`Queue processing error: ${error.message}`);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+// Run the pending checks of one profile claimed by a worker, or submit/remove it once complete
+async function processProfile(profile, { steamValidator, apiService, queueManager, batchProcessor, checkPlanner, deadLetterStore }) {
+  const batchedChecks = batchProcessor.getBatchedCheckNames();
+  
+  try {
     logger.debug(`🔍 [DEBUG] Found processable profile: ${profile.steam_id} (user: ${profile.username})`);
     logger.debug(`🔍 [DEBUG] Profile checks: ${JSON.stringify(profile.checks)}`);
     
     const steamId = profile.steam_id;
     const username = profile.username;
     
-    // Run checks that are marked "to_check"
+    // Run checks that are marked "to_check" (batched checks are left to the batch processor)
     const checksToRun = Object.entries(profile.checks)
-      .filter(([_, status]) => status === "to_check")
+      .filter(([name, status]) => status === "to_check" && !batchedChecks.includes(name))
       .map(([name, _]) => name);
     
     logger.debug(`🔍 [DEBUG] Checks to run: ${checksToRun.join(', ')}`);
@@ -68,12 +88,12 @@ async function processQueuedProfiles(steamValidator, apiService, queueManager) {
           logger.info(`All checks passed for ${steamId} (user: ${username}), sending to API`);
           logger.info(`🔑 API key being used: ${CONFIG.LINK_HARVESTER_API_KEY ? CONFIG.LINK_HARVESTER_API_KEY.substring(0, 8) + '...' : 'undefined'}`);
           
-          const apiResult = await apiService.handleNewSteamId(steamId, username);
+          const apiResult = await apiService.handleNewSteamId(steamId, username, profile.check_details);
           
           if (apiResult.success) {
             logger.info(`API submission successful for ${steamId} (user: ${username})`);
             // Remove from queue on success
-            await queueManager.removeProfileFromQueue(steamId);
+            await queueManager.removeProfileFromQueue(steamId, { outcome: 'accepted' });
           } else {
             // Check if error is retryable or permanent
             const errorMessage = apiResult.error || '';
@@ -94,23 +114,36 @@ async function processQueuedProfiles(steamValidator, apiService, queueManager) {
                 logger.info(`Steam ID ${steamId} (user: ${username}) already exists on PythonAnywhere - removing from queue`);
               } else {
                 logger.error(`API submission failed with permanent error for ${steamId} (user: ${username}): ${apiResult.error}`);
-                logger.info(`Removing ${steamId} (user: ${username}) from queue (non-retryable error)`);
+                // Keep the validated profile for inspection/replay; if that fails it stays in the queue
+                try {
+                  await deadLetterStore.add(profile, apiResult);
+                } catch (error) {
+                  logger.error(`Could not dead-letter ${steamId} (user: ${username}), keeping it in queue: ${error.message}`);
+                  return;
+                }
+                logger.info(`Moved ${steamId} (user: ${username}) from queue to dead-letter store (non-retryable error)`);
               }
               // Remove from queue for permanent errors
-              await queueManager.removeProfileFromQueue(steamId);
+              const alreadyExists = errorMessage.includes('Link already exists');
+              await queueManager.removeProfileFromQueue(steamId, {
+                outcome: alreadyExists ? 'accepted' : 'dead_lettered',
+                error: alreadyExists ? null : apiResult.error
+              });
             }
           }
+        } else if (completionStatus.held) {
+          // A check ran out of attempts and its error policy is 'hold' - leave it for manual review
+          logger.warn(`Profile ${steamId} (user: ${username}) held for manual review (checks in error state)`);
         } else {
-          // Some checks failed validation - remove from queue
+          // Some checks failed validation (or errored with policy 'fail') - remove from queue
           logger.info(`Some checks failed for ${steamId} (user: ${username}), removing from queue`);
-          await queueManager.removeProfileFromQueue(steamId);
+          await queueManager.removeProfileFromQueue(steamId, { outcome: 'rejected' });
         }
       } else {
         // Has deferred checks - don't process repeatedly, just log and wait
         logger.debug(`🔍 [DEBUG] Profile ${steamId} (user: ${username}) has deferred checks, will be processed when connections are available`);
       }
       
-      isProcessing = false;
       return;
     }
     
@@ -118,64 +151,49 @@ async function processQueuedProfiles(steamValidator, apiService, queueManager) {
     logger.info(`Processing queued profile: ${steamId} (user: ${username})`);
     logger.debug(`Profile ${steamId}: Found ${checksToRun.length} checks to run: ${checksToRun.join(', ')}`);
     
+    // Cheap, selective checks first so rate-limited endpoints only see profiles that survived them
+    let orderedChecks = checksToRun;
+    if (checkPlanner) {
+      const { order, plan } = checkPlanner.orderChecks(checksToRun);
+      orderedChecks = order;
+      logger.debug(`Profile ${steamId}: Check plan: ${plan.map(entry => `${entry.checkName}(${entry.inCooldown ? 'cooldown' : entry.score.toFixed(1)})`).join(' → ')}`);
+    }
+    
     // Flag to track if we've detected a private profile
     let isPrivateProfile = false;
     
     // Run each check in order
-    for (let i = 0; i < checksToRun.length; i++) {
-      const checkName = checksToRun[i];
+    for (let i = 0; i < orderedChecks.length; i++) {
+      const checkName = orderedChecks[i];
       
       // Skip further checks if we've already identified this as a private profile
-      // and the current check is either friends or csgo_inventory
-      const isRateLimitedCheck = checkName === 'friends' || checkName === 'csgo_inventory';
-      if (isPrivateProfile && isRateLimitedCheck) {
+      // and the current check declares privateProfile: 'auto_pass' (friends, inventories)
+      if (isPrivateProfile && steamValidator.checkRegistry.autoPassesPrivateProfiles(checkName)) {
         logger.info(`Auto-passing check '${checkName}' for ${steamId} (user: ${username}) (private profile)`);
         await queueManager.updateProfileCheck(steamId, checkName, "passed");
         continue;
       }
       
       try {
-        let checkResult;
+        // Reuse a cached result when this steam ID was checked recently - not for a re-validation,
+        // whose cached answer would be the rejection it is re-checking
+        let checkResult = profile.revalidation ? null : steamValidator.getCachedCheckResult(steamId, checkName);
         
-        // Run the appropriate check
-        switch (checkName) {
-          case 'animated_avatar':
-            checkResult = await steamValidator.checkAnimatedAvatar(steamId);
-            break;
-          case 'avatar_frame':
-            checkResult = await steamValidator.checkAvatarFrame(steamId);
-            break;
-          case 'mini_profile_background':
-            checkResult = await steamValidator.checkMiniProfileBackground(steamId);
-            break;
-          case 'profile_background':
-            checkResult = await steamValidator.checkProfileBackground(steamId);
-            break;
-          case 'steam_level':
-            checkResult = await steamValidator.checkSteamLevel(steamId);
-            
-            // After steam level check, determine if this is a private profile
-            if (checkResult.success && 
-                checkResult.details && 
-                checkResult.details.note && 
-                checkResult.details.note.includes("Empty response from API")) {
-              isPrivateProfile = true;
-              logger.info(`Private profile detected for ${steamId} (user: ${username}) - will auto-pass remaining private checks`);
-            }
-            break;
-          case 'friends':
-            checkResult = await steamValidator.checkFriends(steamId);
-            break;
-          case 'csgo_inventory':
-            checkResult = await steamValidator.checkCsgoInventory(steamId);
-            break;
-          default:
-            logger.error(`Unknown check type: ${checkName}`);
-            checkResult = {
-              success: false,
-              passed: false,
-              error: `Unknown check type: ${checkName}`
-            };
+        if (!checkResult) {
+          // Run the appropriate check, recording which connection served it
+          checkResult = await steamValidator.trackConnection(() => steamValidator.runCheck(checkName, steamId));
+          
+          steamValidator.cacheCheckResult(steamId, checkName, checkResult);
+          
+          if (checkPlanner && checkResult.success) {
+            checkPlanner.recordOutcome(checkName, checkResult.passed);
+          }
+        }
+        
+        // Checks with isPrivateProfile() (steam_level) determine if this is a private profile
+        if (steamValidator.checkRegistry.detectsPrivateProfile(checkName, checkResult)) {
+          isPrivateProfile = true;
+          logger.info(`Private profile detected for ${steamId} (user: ${username}) - will auto-pass remaining private checks`);
         }
         
         // Handle check result
@@ -183,45 +201,44 @@ async function processQueuedProfiles(steamValidator, apiService, queueManager) {
           // Check for deferred status (all connections in cooldown for this endpoint)
           if (checkResult.deferred) {
             logger.warn(`Check '${checkName}' for ${steamId} (user: ${username}) deferred due to all connections in cooldown`);
-            await queueManager.updateProfileCheck(steamId, checkName, "deferred");
+            await queueManager.updateProfileCheck(steamId, checkName, "deferred", checkResult);
             const waitTimeMin = Math.ceil((checkResult.nextAvailableIn || 60000) / 60000);
             logger.info(`Will retry when a connection becomes available (est. ${waitTimeMin} minutes)`);
             continue; // Continue to next check, don't exit the loop
           }
           
-          // Regular API error - mark as deferred and continue with other checks
+          // Regular API error - counts against the retry budget (deferred with spacing, then "error")
           logger.warn(`Check '${checkName}' for ${steamId} (user: ${username}) failed with API error: ${checkResult.error}`);
-          await queueManager.updateProfileCheck(steamId, checkName, "deferred");
-          logger.info(`Marked ${checkName} as deferred, continuing with other checks for ${steamId} (user: ${username})`);
+          await steamValidator.recordCheckError(queueManager, steamId, checkName, checkResult);
           continue; // Continue to next check, don't exit the loop
         } else if (!checkResult.passed) {
           // Check failed validation - remove from queue
           logger.info(`Check '${checkName}' for ${steamId} (user: ${username}) failed validation, removing from queue`);
-          await queueManager.removeProfileFromQueue(steamId);
+          await queueManager.removeProfileFromQueue(steamId, { outcome: 'rejected', failedCheck: checkName, result: checkResult });
           break; // Exit the check loop for this profile
         } else {
           // Check passed - update status
           logger.info(`Check '${checkName}' for ${steamId} (user: ${username}) passed`);
-          await queueManager.updateProfileCheck(steamId, checkName, "passed");
+          await queueManager.updateProfileCheck(steamId, checkName, "passed", checkResult);
         }
       } catch (checkError) {
         logger.error(`Error running check '${checkName}' for ${steamId} (user: ${username}): ${checkError.message}`);
-        await queueManager.updateProfileCheck(steamId, checkName, "deferred");
-        logger.info(`Marked ${checkName} as deferred due to error, continuing with other checks for ${steamId} (user: ${username})`);
+        await steamValidator.recordCheckError(queueManager, steamId, checkName, { success: false, error: checkError.message });
         continue; // Continue to next check
       }
     }
   } catch (error) {
-    logger.error(`Queue processing error: ${error.message}`);
-  } finally {
-    isProcessing = false;
+    logger.error(`Error processing profile ${profile.steam_id} (user: ${profile.username}): ${error.message}`);
   }
 }
 
 async function main() {
   logger.info('Starting Steam ID Processor Service');
   logger.info('===================================');
-  logger.info(`Queue file: ${CONFIG.QUEUE_PATH || 'steam-id-processor/profiles_queue.json'}`);
+  logger.info(`Queue backend: ${CONFIG.QUEUE_BACKEND} (${CONFIG.QUEUE_BACKEND === 'sqlite' ? CONFIG.QUEUE_DB_PATH : CONFIG.QUEUE_PATH})`);
+  if (CONFIG.QUEUE_BACKEND === 'json' && CONFIG.QUEUE_JOURNAL_ENABLED) {
+    logger.info(`Queue journal: ${CONFIG.QUEUE_JOURNAL_PATH} (compacted every ${CONFIG.QUEUE_JOURNAL_COMPACT_INTERVAL / 1000}s)`);
+  }
   
   // DEBUG: Verificar CONFIG completo
   logger.info(`🔍 [DEBUG] CONFIG keys: ${Object.keys(CONFIG).join(', ')}`);
@@ -248,10 +265,33 @@ async function main() {
     process.exit(1);
   }
   
-  // NUEVO: Iniciar API Server
+  // Initialize components
+  const fileManager = new FileManager(CONFIG);
+  logger.info(`🔍 [DEBUG] About to initialize SteamValidator with CONFIG`);
+  const steamValidator = new SteamValidator(CONFIG);
+  const apiService = new ApiService(CONFIG);
+  const queueManager = new QueueManager(CONFIG, steamValidator);
+  // Upgrade queued records to the current schema before anything reads them
+  await queueManager.storeReady;
+  await new QueueSchemaMigrator(CONFIG, queueManager).run();
+  steamValidator.initializeDeferredChecksFromQueue(queueManager);
+  const checkPlanner = CONFIG.CHECK_PLANNER_ENABLED ? new CheckPlanner(CONFIG, steamValidator) : null;
+  const batchProcessor = new BatchProcessor(CONFIG, steamValidator, queueManager, checkPlanner);
+  const deadLetterStore = new DeadLetterStore(CONFIG.DEAD_LETTER_PATH);
+  const revalidationScheduler = new RevalidationScheduler(CONFIG, queueManager);
+  
+  // One worker per connection by default: each worker's requests go to the least busy connection
+  const concurrency = CONFIG.WORKER_CONCURRENCY || steamValidator.proxyManager.config.connections.length;
+  const processingContext = { steamValidator, apiService, queueManager, batchProcessor, checkPlanner, deadLetterStore };
+  workerPool = new WorkerPool(CONFIG, queueManager, (profile) => processProfile(profile, processingContext), {
+    concurrency,
+    getSkipChecks: () => batchProcessor.getBatchedCheckNames()
+  });
+  
+  // NUEVO: Iniciar API Server (shares the validator so vanity names resolve through the same cooldowns)
   try {
     logger.info('🌐 Starting API Server...');
-    apiServer = new ApiServer();
+    apiServer = new ApiServer({ steamValidator, checkPlanner, queueManager, apiService, deadLetterStore, revalidationScheduler });
     await apiServer.start();
     logger.info('✅ API Server started successfully');
   } catch (error) {
@@ -259,13 +299,6 @@ async function main() {
     process.exit(1);
   }
   
-  // Initialize components
-  const fileManager = new FileManager(CONFIG);
-  logger.info(`🔍 [DEBUG] About to initialize SteamValidator with CONFIG`);
-  const steamValidator = new SteamValidator(CONFIG);
-  const apiService = new ApiService(CONFIG);
-  const queueManager = new QueueManager(CONFIG);
-  
   logger.info('Service initialized and ready for processing');
 
   // Convert any existing deferred checks from previous runs
@@ -277,11 +310,11 @@ async function main() {
   
   // Start the processing loops
   
-  // 1. Process queued profiles (main processing loop)
+  // 1. Deferred checks and batched checks (profiles are processed by the worker pool)
   const processQueue = async () => {
     try {
       logger.debug(`🔍 [DEBUG] processQueue called at ${new Date().toISOString()}`);
-      await processQueuedProfiles(steamValidator, apiService, queueManager);
+      await processQueuedProfiles(steamValidator, queueManager, batchProcessor, checkPlanner);
       logger.debug(`🔍 [DEBUG] processQueue completed at ${new Date().toISOString()}`);
     } catch (error) {
       logger.error(`Queue processing error: ${error.message}`);
@@ -327,6 +360,9 @@ async function main() {
       logger.info(`🔌 Connection status: ${connectionDetails}`);
       logger.info(`📋 Queue status: ${queueStats.totalProfiles} profiles total`);
       
+      const workerStats = workerPool.getStats();
+      logger.info(`👷 Workers: ${workerStats.activeWorkers}/${workerStats.concurrency} busy, ${workerStats.processed} profiles processed`);
+      
       if (queueStats.totalProfiles > 0) {
         const userSummary = Object.entries(queueStats.byUsername)
           .map(([user, count]) => `${user}:${count}`)
@@ -338,6 +374,11 @@ async function main() {
         logger.info(`📋 Deferred checks: ${deferredStats.totalDeferred} checks across ${deferredStats.profilesWithDeferred} profiles`);
       }
       
+      const cacheStats = steamValidator.resultCache.getStats();
+      if (cacheStats.hits + cacheStats.misses > 0) {
+        logger.info(`💾 Check cache: ${cacheStats.hits} hits, ${cacheStats.misses} misses (${cacheStats.hitRate}% hit rate), ${cacheStats.cachedProfiles} profiles cached`);
+      }
+      
       // Log endpoint-specific status if there are any cooldowns
       const endpointSummary = status.endpointSummary;
       const endpointsWithCooldowns = Object.entries(endpointSummary)
@@ -355,22 +396,10 @@ async function main() {
         });
       }
       
-      // Process any deferred checks where connections are now available
-      const deferredChecks = Array.from(steamValidator.getDeferredChecks().entries());
-      
-      logger.debug(`🔍 [DEBUG] steamValidator.getDeferredChecks() size: ${steamValidator.getDeferredChecks().size}`);
-      logger.debug(`🔍 [DEBUG] deferredChecks entries: ${deferredChecks.length}`);
-      
-      if (deferredChecks.length > 0) {
-        logger.info(`🔄 Processing ${deferredChecks.length} deferred checks...`);
-        const deferredResult = await steamValidator.processDeferredChecks(queueManager);
-        if (deferredResult.processed > 0) {
-          logger.info(`✅ Processed ${deferredResult.processed} deferred checks, ${deferredResult.remaining} remaining`);
-        } else {
-          logger.debug(`No deferred checks were processed`);
-        }
-      } else {
-        logger.debug(`🔍 [DEBUG] No deferred checks in steamValidator.deferredChecks Map`);
+      // Deferred checks are run by processQueuedProfiles only, so they never overlap
+      const deferredCount = steamValidator.getDeferredChecks().size;
+      if (deferredCount > 0) {
+        logger.info(`🔄 ${deferredCount} profiles with deferred checks waiting for connections`);
       }
       
     } catch (error) {
@@ -381,11 +410,45 @@ async function main() {
     setTimeout(checkProxyStatus, 60 * 1000);
   };
 
+  // 3. Results archive retention (at startup, then hourly)
+  const pruneResultsArchive = async () => {
+    try {
+      await queueManager.resultsArchive.prune();
+    } catch (error) {
+      logger.error(`Results archive pruning error: ${error.message}`);
+    }
+    setTimeout(pruneResultsArchive, 60 * 60 * 1000);
+  };
+
+  // 4. Re-enqueue rejected profiles that are due for re-validation (hourly, if enabled)
+  const runRevalidation = async () => {
+    try {
+      await revalidationScheduler.run();
+    } catch (error) {
+      logger.error(`Re-validation error: ${error.message}`);
+    }
+    setTimeout(runRevalidation, 60 * 60 * 1000);
+  };
+
+  // 5. Fold the queue journal into profiles_queue.json (journaled JSON backend)
+  const compactQueueJournal = async () => {
+    await queueManager.compactQueue();
+    setTimeout(compactQueueJournal, CONFIG.QUEUE_JOURNAL_COMPACT_INTERVAL);
+  };
+
   // Start all processes
   logger.info(`🔍 [DEBUG] Starting processQueue...`);
   processQueue();
+  workerPool.start();
   logger.info(`🔍 [DEBUG] Starting checkProxyStatus...`);
   checkProxyStatus();
+  pruneResultsArchive();
+  if (revalidationScheduler.enabled) {
+    runRevalidation();
+  }
+  if (typeof queueManager.store.compact === 'function') {
+    setTimeout(compactQueueJournal, CONFIG.QUEUE_JOURNAL_COMPACT_INTERVAL); // Startup compaction runs in store.init()
+  }
   
   logger.info('All processing loops started');
   logger.info('Waiting for Steam IDs to be added to queue via Django API...');
@@ -401,6 +464,11 @@ main().catch(error => {
 process.on('SIGINT', async () => {
   logger.info('Shutting down...');
   
+  // Stop claiming new profiles
+  if (workerPool) {
+    workerPool.stop();
+  }
+  
   // NUEVO: Cerrar API server
   if (apiServer) {
     try {
@@ -418,6 +486,11 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
   logger.info('Shutting down...');
   
+  // Stop claiming new profiles
+  if (workerPool) {
+    workerPool.stop();
+  }
+  
   // NUEVO: Cerrar API server
   if (apiServer) {
     try {
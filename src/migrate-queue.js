@@ -0,0 +1,64 @@
+// steam-id-processor/src/migrate-queue.js
+// One-shot migration of profiles_queue.json into the SQLite queue (QUEUE_DB_PATH).
+// Usage: npm run migrate-queue [-- --force]
+//   --force  replace profiles already in the database
+// Stop the processor and the API server first. The JSON file is renamed to
+// profiles_queue.json.migrated-<timestamp> afterwards, so it is kept as a backup but not read again.
+const fs = require('fs-extra');
+const CONFIG = require('../config/config');
+const { createJsonQueueStore } = require('./queue-stores');
+const QueueQuarantine = require('./queue-quarantine');
+const SqliteQueueStore = require('./queue-stores/sqlite-queue-store');
+const logger = require('./utils/logger');
+
+async function migrateQueue({ force = false } = {}) {
+  if (!await fs.pathExists(CONFIG.QUEUE_PATH)) {
+    throw new Error(`Queue file not found: ${CONFIG.QUEUE_PATH}`);
+  }
+
+  // A corrupt queue is restored from its last good copy (and recorded) before anything is migrated
+  const quarantine = new QueueQuarantine(CONFIG.QUEUE_QUARANTINE_PATH);
+  const jsonStore = createJsonQueueStore(CONFIG, quarantine);
+  await jsonStore.init(); // Folds a pending queue journal into the JSON file
+  const profiles = await jsonStore.getAll(); // Validated read under the queue lock, throws if unrecoverable
+  if (await quarantine.isActive()) {
+    throw new Error(`The queue had corruption incidents (${CONFIG.QUEUE_QUARANTINE_PATH}) - check the restored queue and acknowledge them before migrating`);
+  }
+
+  const sqliteStore = new SqliteQueueStore(CONFIG.QUEUE_DB_PATH);
+  try {
+    const existing = await sqliteStore.getAll();
+    if (existing.length > 0 && !force) {
+      throw new Error(`${CONFIG.QUEUE_DB_PATH} already holds ${existing.length} profiles (use --force to replace them)`);
+    }
+
+    await sqliteStore.replaceAll(profiles);
+
+    const migrated = await sqliteStore.getAll();
+    if (migrated.length !== profiles.length) {
+      throw new Error(`Migration check failed: ${profiles.length} profiles read, ${migrated.length} in the database`);
+    }
+  } finally {
+    await sqliteStore.cleanup();
+    await jsonStore.cleanup();
+  }
+
+  const backupPath = `${CONFIG.QUEUE_PATH}.migrated-${Date.now()}`;
+  await fs.rename(CONFIG.QUEUE_PATH, backupPath);
+  await fs.remove(CONFIG.QUEUE_JOURNAL_PATH); // Empty after init()
+
+  logger.info(`✅ Migrated ${profiles.length} profiles to ${CONFIG.QUEUE_DB_PATH}`);
+  logger.info(`JSON queue kept as ${backupPath} - set QUEUE_BACKEND=sqlite to use the database`);
+  return { migrated: profiles.length, backupPath };
+}
+
+if (require.main === module) {
+  migrateQueue({ force: process.argv.includes('--force') })
+    .then(() => process.exit(0))
+    .catch(error => {
+      logger.error(`Queue migration failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateQueue;
@@ -6,7 +6,7 @@ const axios = require('axios');
 const { SocksProxyAgent } = require('socks-proxy-agent');
 
 class ProxyManager {
-  constructor(configDir, cooldownDurations, backoffSequence) {
+  constructor(configDir, cooldownDurations, backoffSequence, checkRegistry = null, rateLimiter = null) {
     logger.info(`🔍 [DEBUG] ProxyManager constructor called with:`);
     logger.info(`🔍 [DEBUG]   configDir: ${configDir}`);
     logger.info(`🔍 [DEBUG]   cooldownDurations: ${JSON.stringify(cooldownDurations)}`);
@@ -22,6 +22,9 @@ class ProxyManager {
     this.backoffSequence = backoffSequence; // NEW: Exponential backoff sequence
     this.currentProxyIndex = 0; // For round-robin among proxies
     this.backoffLevels = new Map(); // key: "connectionIndex:endpoint", value: level
+    this.inFlightRequests = new Map(); // key: "connectionIndex:endpoint", value: requests currently running
+    this.checkRegistry = checkRegistry; // Maps request URLs to endpoints and holds per-endpoint request options
+    this.rateLimiter = rateLimiter; // Token buckets per connection/endpoint - an empty bucket counts as busy
     
     // VALIDATION: Ensure backoffSequence is valid
     if (!this.backoffSequence || !Array.isArray(this.backoffSequence) || this.backoffSequence.length === 0) {
@@ -334,10 +337,50 @@ class ProxyManager {
     return isAvailable;
   }
 
-  // Get the best available connection for an endpoint (direct first, then round-robin proxies)
+  // Track requests in flight so concurrent workers are spread across connections
+  beginRequest(connectionIndex, endpoint) {
+    const key = `${connectionIndex}:${endpoint}`;
+    this.inFlightRequests.set(key, (this.inFlightRequests.get(key) || 0) + 1);
+  }
+
+  endRequest(connectionIndex, endpoint) {
+    const key = `${connectionIndex}:${endpoint}`;
+    const count = (this.inFlightRequests.get(key) || 0) - 1;
+    if (count > 0) {
+      this.inFlightRequests.set(key, count);
+    } else {
+      this.inFlightRequests.delete(key);
+    }
+  }
+
+  getInFlightCount(connectionIndex, endpoint) {
+    return this.inFlightRequests.get(`${connectionIndex}:${endpoint}`) || 0;
+  }
+
+  // Requests in flight, plus one if the connection's token bucket is empty (a request would wait)
+  getConnectionLoad(connectionIndex, endpoint) {
+    const bucketEmpty = this.rateLimiter && this.rateLimiter.getWaitTime(connectionIndex, endpoint) > 0;
+    return this.getInFlightCount(connectionIndex, endpoint) + (bucketEmpty ? 1 : 0);
+  }
+
+  // Lowest load among the connections not in cooldown for this endpoint (Infinity if none)
+  getMinLoadForEndpoint(endpoint) {
+    let min = Infinity;
+    for (let index = 0; index < this.config.connections.length; index++) {
+      if (this.isConnectionAvailableForEndpoint(index, endpoint)) {
+        min = Math.min(min, this.getConnectionLoad(index, endpoint));
+      }
+    }
+    return min;
+  }
+
+  // Get the best available connection for an endpoint: the least busy one, preferring
+  // direct first, then round-robin proxies (with one request at a time this is plain direct-first)
   getBestConnectionForEndpoint(endpoint) {
+    const minLoad = this.getMinLoadForEndpoint(endpoint);
+    
     // Always try direct connection first
-    if (this.isConnectionAvailableForEndpoint(0, endpoint)) {
+    if (this.isConnectionAvailableForEndpoint(0, endpoint) && this.getConnectionLoad(0, endpoint) === minLoad) {
       const directConn = this.config.connections[0];
       logger.debug(`Using direct connection for ${endpoint}`);
       return {
@@ -358,7 +401,8 @@ class ProxyManager {
       // Convert proxy index to actual connection index (skip direct connection at index 0)
       const actualConnectionIndex = proxyIndex + 1;
       
-      if (this.isConnectionAvailableForEndpoint(actualConnectionIndex, endpoint)) {
+      if (this.isConnectionAvailableForEndpoint(actualConnectionIndex, endpoint) &&
+          this.getConnectionLoad(actualConnectionIndex, endpoint) === minLoad) {
         // Update round-robin index for next time
         this.currentProxyIndex = (proxyIndex + 1) % proxyConnections.length;
         
@@ -644,7 +688,7 @@ class ProxyManager {
         axiosConfig.httpAgent = socksAgent;
         
         // Add additional headers for inventory endpoints
-        if (endpointName === 'inventory') {
+        if (this.getEndpointOptions(endpointName).browserHeaders) {
           axiosConfig.headers['Sec-Fetch-Dest'] = 'empty';
           axiosConfig.headers['Sec-Fetch-Mode'] = 'cors';
           axiosConfig.headers['Sec-Fetch-Site'] = 'same-origin';
@@ -666,21 +710,19 @@ class ProxyManager {
 
   // Helper method to extract endpoint name from URL
   getEndpointName(url) {
-    if (url.includes('GetFriendList')) return 'friends';
-    if (url.includes('inventory')) return 'inventory';
-    if (url.includes('GetSteamLevel')) return 'steam_level';
-    if (url.includes('GetAnimatedAvatar')) return 'animated_avatar';
-    if (url.includes('GetAvatarFrame')) return 'avatar_frame';
-    if (url.includes('GetMiniProfileBackground')) return 'mini_profile_background';
-    if (url.includes('GetProfileBackground')) return 'profile_background';
-    
-    return 'other';
+    const endpoint = this.checkRegistry ? this.checkRegistry.getEndpointForUrl(url) : null;
+    return endpoint || 'other';
+  }
+
+  getEndpointOptions(endpointName) {
+    return this.checkRegistry
+      ? this.checkRegistry.getEndpointOptions(endpointName)
+      : { timeout: null, browserHeaders: false, privateStatuses: [] };
   }
 
   // Helper method to get timeout based on endpoint
   getTimeoutForEndpoint(endpointName) {
-    if (endpointName === 'inventory') return 25000;
-    return 15000;
+    return this.getEndpointOptions(endpointName).timeout || 15000;
   }
 
   // Handle request errors and mark cooldowns appropriately
@@ -779,8 +821,10 @@ class ProxyManager {
       Object.keys(conn.endpoint_cooldowns).forEach(endpoint => allEndpoints.add(endpoint));
     }
     
-    // Add common endpoints even if they don't have active cooldowns
-    ['friends', 'inventory', 'steam_level', 'animated_avatar', 'avatar_frame', 'mini_profile_background', 'profile_background'].forEach(ep => allEndpoints.add(ep));
+    // Add registered endpoints even if they don't have active cooldowns
+    if (this.checkRegistry) {
+      this.checkRegistry.getEndpoints().forEach(ep => allEndpoints.add(ep));
+    }
     
     const now = Date.now();
     
@@ -795,6 +839,7 @@ class ProxyManager {
         url: configConn.url,
         availableEndpoints: 0,
         totalEndpoints: allEndpoints.size,
+        inFlightRequests: Array.from(allEndpoints).reduce((sum, endpoint) => sum + this.getInFlightCount(i, endpoint), 0),
         endpointCooldowns: {}
       };
       
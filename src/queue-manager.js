@@ -1,33 +1,52 @@
 // steam-id-processor\src\queue-manager.js
-const fs = require('fs-extra');
-const path = require('path');
 const logger = require('./utils/logger');
-const QueueFileManager = require('./utils/queue-file-manager');
+const { createQueueStore } = require('./queue-stores');
+const { parseSteamIdInput } = require('./utils/steam-id-parser');
+const CheckRegistry = require('./check-registry');
+const QueueScheduler = require('./queue-scheduler');
+const ResultsArchive = require('./results-archive');
+const QueueQuarantine = require('./queue-quarantine');
+const QueueSchemaMigrator = require('./queue-schema-migrator');
+
+const VALID_STATUSES = ["to_check", "passed", "failed", "deferred", "error"];
 
 class QueueManager {
-  constructor(config) {
+  constructor(config, steamValidator = null) {
     this.config = config;
-    // Queue file is now inside steam-id-processor directory
-    this.queuePath = path.join(__dirname, '../profiles_queue.json');
+    // Optional - only needed to resolve vanity names at intake
+    this.steamValidator = steamValidator;
+    // Registered checks make up the initial checks map of new profiles
+    this.checkRegistry = steamValidator ? steamValidator.checkRegistry : new CheckRegistry(config);
+    // Steam IDs currently being processed by a worker (in-memory - one processor owns the queue)
+    this.claimedProfiles = new Set();
+    // Priority and per-username fairness when picking the next profile
+    this.scheduler = new QueueScheduler(config);
+    // Wait until first processed (queue timestamp -> first claim), per username
+    this.startedProfiles = new Set();
+    this.waitStats = {}; // key: username, value: { started, totalWaitMs, maxWaitMs }
+    // Final outcome of profiles removed with a completion (see removeProfileFromQueue)
+    this.resultsArchive = new ResultsArchive(config);
+    
+    // Corrupt queue files are set aside and restored; processing pauses until acknowledged
+    this.quarantine = new QueueQuarantine(config.QUEUE_QUARANTINE_PATH);
+    this.quarantinePaused = false; // Last pause state, to log transitions only
+    this.replacingQueue = false; // replaceQueue() holds new claims and deferred runs
     
-    // Initialize the file manager with locking capabilities
-    this.fileManager = new QueueFileManager(this.queuePath);
+    // Queue storage (QUEUE_BACKEND): profiles_queue.json (default) or SQLite, see queue-stores/
+    this.store = createQueueStore(config, this.quarantine);
     
-    // Ensure queue file exists
-    this.ensureQueueFileExists();
+    // Ensure the queue file exists (short-lived scripts await this before exiting)
+    this.storeReady = this.store.init();
     
     // Setup cleanup on process exit
     this.setupCleanupHandlers();
   }
 
-  async ensureQueueFileExists() {
-    await this.fileManager.ensureQueueFileExists();
-  }
-
   setupCleanupHandlers() {
-    // Cleanup lock files on process exit
+    // Cleanup lock files / close the database on process exit
     const cleanup = async () => {
-      await this.fileManager.cleanup();
+      await this.store.cleanup();
+      await this.resultsArchive.cleanup();
     };
 
     process.on('SIGINT', cleanup);
@@ -35,187 +54,412 @@ class QueueManager {
     process.on('exit', cleanup);
   }
 
-  // Internal method without locking - for use within withFileLock operations
-  async _readQueueProfilesInternal() {
+  async getQueuedProfiles() {
     try {
-      const data = await require('fs-extra').readFile(this.queuePath, 'utf8');
-      const parsed = JSON.parse(data);
-      return Array.isArray(parsed) ? parsed : [];
+      return await this.store.getAll();
     } catch (error) {
-      logger.error(`Error reading queue file internally: ${error.message}`);
+      logger.error(`Error reading queue profiles: ${error.message}`);
       return [];
     }
   }
 
-  // Internal method without locking - for use within withFileLock operations  
-  async _writeQueueProfilesInternal(profiles) {
+  async saveQueuedProfiles(profiles) {
     try {
-      if (!Array.isArray(profiles)) {
-        throw new Error(`Invalid profiles data: expected array, got ${typeof profiles}`);
-      }
-      
-      const jsonData = JSON.stringify(profiles, null, 2);
-      await require('fs-extra').writeFile(this.queuePath, jsonData, 'utf8');
+      await this.store.replaceAll(profiles);
       return true;
     } catch (error) {
-      logger.error(`Error writing queue file internally: ${error.message}`);
+      logger.error(`Error saving queue profiles: ${error.message}`);
       return false;
     }
   }
 
-  async getQueuedProfiles() {
+  // Replace the whole queue (import in replace mode) without pulling it from under a running
+  // processor in this process: new claims stop, the workers' claimed profiles are waited for and
+  // the in-memory deferred checks (which belong to the old queue) are dropped.
+  // Throws, leaving the queue unchanged, if the workers still hold profiles after timeoutMs
+  async replaceQueue(profiles, timeoutMs = 60000) {
+    this.replacingQueue = true;
     try {
-      return await this.fileManager.readQueueProfiles();
-    } catch (error) {
-      logger.error(`Error reading queue profiles: ${error.message}`);
-      return [];
+      const deadline = Date.now() + timeoutMs;
+      while (this.claimedProfiles.size > 0) {
+        if (Date.now() > deadline) {
+          throw new Error(`${this.claimedProfiles.size} profiles are still being processed after ${Math.round(timeoutMs / 1000)}s - the queue was left unchanged`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
+      
+      if (!await this.saveQueuedProfiles(profiles)) {
+        return false;
+      }
+      
+      if (this.steamValidator) {
+        this.steamValidator.getDeferredChecks().clear();
+        this.steamValidator.retryTimes.clear();
+      }
+      return true;
+    } finally {
+      this.replacingQueue = false;
     }
   }
 
-  async saveQueuedProfiles(profiles) {
+  // Convert any accepted input format (SteamID64/2/3, profile URL, vanity name) to a SteamID64
+  async normalizeSteamIdInput(input) {
+    const parsed = parseSteamIdInput(input);
+    
+    if (parsed.type === 'invalid') {
+      return { success: false, input, error: parsed.error };
+    }
+    
+    if (parsed.type !== 'vanity') {
+      return { success: true, input, inputType: parsed.type, steamId: parsed.steamId };
+    }
+    
+    if (!this.steamValidator) {
+      return { success: false, input, inputType: 'vanity', error: 'Vanity name resolution not available' };
+    }
+    
+    const resolved = await this.steamValidator.resolveVanityUrl(parsed.vanity);
+    if (!resolved.success) {
+      return {
+        success: false,
+        input,
+        inputType: 'vanity',
+        error: resolved.error,
+        deferred: resolved.deferred || false,
+        nextAvailableIn: resolved.nextAvailableIn
+      };
+    }
+    
+    return { success: true, input, inputType: 'vanity', steamId: resolved.steamId };
+  }
+
+  // options.priority: higher numbers are processed first (default 0)
+  // options.revalidation: re-check number of a previously rejected profile (see RevalidationScheduler)
+  // options.checks / options.checkDetails / options.timestamp: state carried over by a queue import
+  async addProfileToQueue(steamIdInput, username, apiService = null, originalInput = null, options = {}) {
+    // Resolve to a canonical SteamID64 before taking the lock (may need an API call)
+    const normalized = await this.normalizeSteamIdInput(steamIdInput);
+    if (!normalized.success) {
+      logger.error(`Invalid Steam ID input '${steamIdInput}' (user: ${username}): ${normalized.error}`);
+      return null;
+    }
+    
+    const steamId = normalized.steamId;
+    const input = originalInput || String(steamIdInput).trim();
+    
     try {
-      await this.fileManager.writeQueueProfiles(profiles);
-      return true;
+      // Check if already in queue
+      const existing = await this.store.get(steamId);
+      if (existing) {
+        logger.info(`Profile ${steamId} (user: ${username}) already in queue`);
+        return existing;
+      }
+      
+      const { profile } = await this.buildQueueProfile(steamId, username, apiService, input, options);
+      if (!profile) {
+        return null;
+      }
+      
+      // Add to queue (unless it was queued while the existence check ran)
+      const inserted = await this.enqueueProfile(profile);
+      return inserted.profile;
     } catch (error) {
-      logger.error(`Error saving queue profiles: ${error.message}`);
-      return false;
+      logger.error(`Error adding profile to queue: ${error.message}`);
+      throw error;
     }
   }
 
-  async addProfileToQueue(steamId, username, apiService = null) {
-    try {
-      return await this.fileManager.withFileLock(async () => {
-        const profiles = await this._readQueueProfilesInternal();
-        
-        // Check if already in queue
-        const existing = profiles.find(p => p.steam_id === steamId);
-        if (existing) {
-          logger.info(`Profile ${steamId} (user: ${username}) already in queue`);
-          return existing;
-        }
-        
-        // Check if ID already exists in database (if apiService provided)
-        if (apiService) {
-          const existsCheckResult = await apiService.checkSteamIdExists(steamId);
-          
-          if (existsCheckResult.success && existsCheckResult.exists) {
-            logger.info(`Steam ID ${steamId} (user: ${username}) already exists in database, not adding to queue`);
-            return null; // Don't add to queue
-          }
-          
-          if (!existsCheckResult.success) {
-            logger.warn(`Failed to check if ID ${steamId} (user: ${username}) exists: ${existsCheckResult.error}. Adding to queue anyway.`);
-          }
-        }
-        
-        // Validate username
-        if (!username || typeof username !== 'string') {
-          logger.error(`Invalid username '${username}' for Steam ID ${steamId}. Username must be a non-empty string.`);
-          return null;
+  // Insert a profile built by buildQueueProfile. Returns { profile, created } - the queued
+  // profile is kept if the steam ID is already there
+  async enqueueProfile(profile) {
+    const inserted = await this.store.insert(profile);
+    if (inserted.created) {
+      logger.info(`Added profile ${profile.steam_id} (user: ${profile.username}) to queue`);
+    } else {
+      logger.info(`Profile ${profile.steam_id} (user: ${profile.username}) already in queue`);
+    }
+    return inserted;
+  }
+
+  // Validate a new queue item and build it (without queueing it). steamId must already be normalized.
+  // Returns { profile } or { profile: null, error } - see addProfileToQueue for the options
+  async buildQueueProfile(steamId, username, apiService, input, options = {}) {
+    // Check if ID already exists in database (if apiService provided)
+    if (apiService) {
+      const existsCheckResult = await apiService.checkSteamIdExists(steamId);
+      
+      if (existsCheckResult.success && existsCheckResult.exists) {
+        logger.info(`Steam ID ${steamId} (user: ${username}) already exists in database, not adding to queue`);
+        return { profile: null, error: 'Steam ID already exists in database' }; // Don't add to queue
+      }
+      
+      if (!existsCheckResult.success) {
+        logger.warn(`Failed to check if ID ${steamId} (user: ${username}) exists: ${existsCheckResult.error}. Adding to queue anyway.`);
+      }
+    }
+    
+    // Validate username
+    if (!username || typeof username !== 'string') {
+      logger.error(`Invalid username '${username}' for Steam ID ${steamId}. Username must be a non-empty string.`);
+      return { profile: null, error: 'Username must be a non-empty string' };
+    }
+    
+    // Imported check states must use known statuses
+    const invalidCheck = Object.entries(options.checks || {}).find(([_, status]) => !VALID_STATUSES.includes(status));
+    if (invalidCheck) {
+      logger.error(`Invalid status '${invalidCheck[1]}' for check '${invalidCheck[0]}' of Steam ID ${steamId}`);
+      return { profile: null, error: `Invalid status '${invalidCheck[1]}' for check '${invalidCheck[0]}'` };
+    }
+    
+    // Create new profile object with username
+    const profile = {
+      schema_version: QueueSchemaMigrator.SCHEMA_VERSION,
+      steam_id: steamId,
+      original_input: input,
+      username: username,
+      priority: Number(options.priority) || 0,
+      timestamp: Number(options.timestamp) || Date.now(),
+      checks: this.checkRegistry.getDefaultChecks()
+    };
+    if (options.revalidation) {
+      profile.revalidation = options.revalidation;
+    }
+    
+    // Carried-over states of registered checks; the rest stay "to_check"
+    for (const [checkName, status] of Object.entries(options.checks || {})) {
+      if (checkName in profile.checks) {
+        profile.checks[checkName] = status;
+        if (options.checkDetails && options.checkDetails[checkName]) {
+          profile.check_details = { ...profile.check_details, [checkName]: options.checkDetails[checkName] };
         }
-        
-        // Create new profile object with username
-        const profile = {
-          steam_id: steamId,
-          username: username,
-          timestamp: Date.now(),
-          checks: {
-            animated_avatar: "to_check",
-            avatar_frame: "to_check",
-            mini_profile_background: "to_check",
-            profile_background: "to_check",
-            steam_level: "to_check",
-            friends: "to_check",
-            csgo_inventory: "to_check"
+      }
+    }
+    
+    return { profile };
+  }
+
+  // Overwrite the states (and details) of a queued profile's checks with imported ones.
+  // Checks the profile does not have are ignored. Returns the updated profile, or null if not queued
+  async mergeProfileChecks(steamId, checks, checkDetails = {}) {
+    const invalidCheck = Object.entries(checks || {}).find(([_, status]) => !VALID_STATUSES.includes(status));
+    if (invalidCheck) {
+      throw new Error(`Invalid status '${invalidCheck[1]}' for check '${invalidCheck[0]}'`);
+    }
+    
+    return this.store.update(steamId, (profile) => {
+      for (const [checkName, status] of Object.entries(checks || {})) {
+        if (checkName in profile.checks) {
+          profile.checks[checkName] = status;
+          if (checkDetails && checkDetails[checkName]) {
+            profile.check_details = { ...profile.check_details, [checkName]: checkDetails[checkName] };
           }
-        };
-        
-        // Add to queue
-        profiles.push(profile);
-        const saveSuccess = await this._writeQueueProfilesInternal(profiles);
-        
-        if (!saveSuccess) {
-          throw new Error('Failed to save updated queue');
         }
-        
-        logger.info(`Added profile ${steamId} (user: ${username}) to queue`);
-        return profile;
-      }, { operationName: `addProfileToQueue_${steamId}` });
+      }
+    });
+  }
+
+  // Summary of a check run kept on the profile next to its status, so the API and the backend
+  // can see why a check passed or failed. The attempt count and last error carry over from
+  // the previous detail (see recordCheckError).
+  buildCheckDetail(status, result, previous = null) {
+    const { facts, rule, ...details } = result.details || {};
+    return {
+      attempts: previous ? previous.attempts || 0 : 0,
+      last_error: previous ? previous.last_error || null : null,
+      status,
+      passed: result.success ? result.passed : null,
+      facts: result.facts || facts || null,
+      details,
+      rule: rule || null,
+      checked_at: new Date().toISOString(),
+      connection: result.connection || null,
+      cached: result.cached || false,
+      error: result.error || null,
+      next_attempt_at: null
+    };
+  }
+
+  // Set a check's status (and its detail, if a result is given) on a profile object
+  applyCheckUpdate(profile, checkName, status, result) {
+    profile.checks[checkName] = status;
+    if (result) {
+      profile.check_details = {
+        ...profile.check_details,
+        [checkName]: this.buildCheckDetail(status, result, profile.check_details?.[checkName])
+      };
+    }
+  }
+
+  // result: optional check result whose details are stored in profile.check_details
+  async updateProfileCheck(steamId, checkName, status, result = null) {
+    // Validate status
+    if (!VALID_STATUSES.includes(status)) {
+      logger.error(`Invalid status '${status}' for check update. Valid statuses: ${VALID_STATUSES.join(', ')}`);
+      return false;
+    }
+    
+    try {
+      const profile = await this.store.update(steamId, (profile) => this.applyCheckUpdate(profile, checkName, status, result));
+      
+      if (!profile) {
+        logger.warn(`Profile ${steamId} not found in queue`);
+        return false;
+      }
+      
+      const username = profile.username || 'unknown';
+      logger.debug(`Updated ${steamId} (user: ${username}) check '${checkName}' to '${status}'`);
+      return true;
     } catch (error) {
-      logger.error(`Error adding profile to queue: ${error.message}`);
-      throw error;
+      logger.error(`Error updating profile check: ${error.message}`);
+      return false;
     }
   }
 
-  async updateProfileCheck(steamId, checkName, status) {
+  // Update several checks in a single locked read/write (used when fanning out batch results)
+  // updates: [{ steamId, checkName, status, result? }]
+  async updateProfileChecks(updates) {
+    if (!updates || updates.length === 0) {
+      return 0;
+    }
+    
+    // Valid updates grouped by profile
+    const updatesBySteamId = new Map();
+    for (const update of updates) {
+      if (!VALID_STATUSES.includes(update.status)) {
+        logger.error(`Invalid status '${update.status}' for check update. Valid statuses: ${VALID_STATUSES.join(', ')}`);
+        continue;
+      }
+      if (!updatesBySteamId.has(update.steamId)) {
+        updatesBySteamId.set(update.steamId, []);
+      }
+      updatesBySteamId.get(update.steamId).push(update);
+    }
+    
     try {
-      return await this.fileManager.withFileLock(async () => {
-        const profiles = await this._readQueueProfilesInternal();
-        
-        // Find the profile
-        const profileIndex = profiles.findIndex(p => p.steam_id === steamId);
-        if (profileIndex === -1) {
-          logger.warn(`Profile ${steamId} not found in queue`);
-          return false;
-        }
-        
-        // Validate status
-        const validStatuses = ["to_check", "passed", "failed", "deferred"];
-        if (!validStatuses.includes(status)) {
-          logger.error(`Invalid status '${status}' for check update. Valid statuses: ${validStatuses.join(', ')}`);
-          return false;
+      let applied = 0;
+      const found = new Set();
+      await this.store.updateMany(Array.from(updatesBySteamId.keys()), (profile) => {
+        found.add(profile.steam_id);
+        for (const { checkName, status, result } of updatesBySteamId.get(profile.steam_id)) {
+          this.applyCheckUpdate(profile, checkName, status, result);
+          applied++;
         }
-        
-        // Update the check status
-        profiles[profileIndex].checks[checkName] = status;
-        const saveSuccess = await this._writeQueueProfilesInternal(profiles);
-        
-        if (!saveSuccess) {
-          throw new Error('Failed to save updated profile check');
-        }
-        
-        const username = profiles[profileIndex].username || 'unknown';
-        logger.debug(`Updated ${steamId} (user: ${username}) check '${checkName}' to '${status}'`);
         return true;
-      }, { operationName: `updateProfileCheck_${steamId}_${checkName}` });
+      });
+      
+      for (const steamId of updatesBySteamId.keys()) {
+        if (!found.has(steamId)) {
+          logger.warn(`Profile ${steamId} not found in queue`);
+        }
+      }
+      
+      logger.debug(`Applied ${applied}/${updates.length} check updates in one write`);
+      return applied;
     } catch (error) {
-      logger.error(`Error updating profile check: ${error.message}`);
-      return false;
+      logger.error(`Error updating profile checks: ${error.message}`);
+      return 0;
     }
   }
 
-  async removeProfileFromQueue(steamId) {
+  // A check failed with a non-cooldown error: count the attempt and keep it "deferred" until
+  // next_attempt_at (spacing grows with CHECK_RETRY_BACKOFF_MINUTES), or move it to the terminal
+  // "error" state once CHECK_MAX_ATTEMPTS is used up (see getCompletionStatus for what that means).
+  // Returns { status, attempts, nextAttemptAt } or null if the profile is no longer queued.
+  async recordCheckError(steamId, checkName, result) {
+    const maxAttempts = this.config.CHECK_MAX_ATTEMPTS || 5;
+    const backoffMinutes = this.config.CHECK_RETRY_BACKOFF_MINUTES || [1];
+    
     try {
-      return await this.fileManager.withFileLock(async () => {
-        const profiles = await this._readQueueProfilesInternal();
-        
-        // Find the profile to get username for logging
-        const profileToRemove = profiles.find(p => p.steam_id === steamId);
-        const username = profileToRemove?.username || 'unknown';
-        
-        // Find and remove the profile
-        const filteredProfiles = profiles.filter(p => p.steam_id !== steamId);
+      let status, attempts, delayMinutes, nextAttemptAt;
+      
+      const profile = await this.store.update(steamId, (profile) => {
+        const previous = profile.check_details?.[checkName];
+        attempts = (previous?.attempts || 0) + 1;
+        status = attempts >= maxAttempts ? "error" : "deferred";
+        delayMinutes = backoffMinutes[Math.min(attempts - 1, backoffMinutes.length - 1)];
+        nextAttemptAt = status === "deferred" ? Date.now() + delayMinutes * 60 * 1000 : null;
         
-        if (filteredProfiles.length < profiles.length) {
-          const saveSuccess = await this._writeQueueProfilesInternal(filteredProfiles);
-          
-          if (!saveSuccess) {
-            throw new Error('Failed to save queue after profile removal');
+        profile.checks[checkName] = status;
+        profile.check_details = {
+          ...profile.check_details,
+          [checkName]: {
+            ...this.buildCheckDetail(status, result, previous),
+            attempts,
+            last_error: result.error || 'Unknown error',
+            next_attempt_at: nextAttemptAt ? new Date(nextAttemptAt).toISOString() : null
           }
-          
-          logger.info(`Removed profile ${steamId} (user: ${username}) from queue`);
-          return true;
-        } else {
-          logger.warn(`Profile ${steamId} not found in queue to remove`);
-          return false;
-        }
-      }, { operationName: `removeProfileFromQueue_${steamId}` });
+        };
+      });
+      
+      if (!profile) {
+        logger.warn(`Profile ${steamId} not found in queue`);
+        return null;
+      }
+      
+      const username = profile.username || 'unknown';
+      if (status === "error") {
+        logger.warn(`Check '${checkName}' for ${steamId} (user: ${username}) gave up after ${attempts} attempts (policy: ${this.checkRegistry.getErrorPolicy(checkName)}): ${result.error}`);
+      } else {
+        logger.info(`Check '${checkName}' for ${steamId} (user: ${username}) attempt ${attempts}/${maxAttempts} failed, retrying in ${delayMinutes} minutes`);
+      }
+      
+      return { status, attempts, nextAttemptAt };
+    } catch (error) {
+      logger.error(`Error recording check error: ${error.message}`);
+      return null;
+    }
+  }
+
+  // completion: { outcome: 'accepted'|'rejected'|'dead_lettered', failedCheck, result, error } -
+  // archives the profile's final state; without it the profile is removed without a record
+  async removeProfileFromQueue(steamId, completion = null) {
+    try {
+      const removedProfile = await this.store.remove(steamId);
+      
+      if (!removedProfile) {
+        logger.warn(`Profile ${steamId} not found in queue to remove`);
+        return false;
+      }
+      
+      this.startedProfiles.delete(steamId);
+      logger.info(`Removed profile ${steamId} (user: ${removedProfile.username || 'unknown'}) from queue`);
+      
+      if (completion) {
+        await this.archiveCompletedProfile(removedProfile, completion);
+      }
+      
+      return true;
     } catch (error) {
       logger.error(`Error removing profile from queue: ${error.message}`);
       return false;
     }
   }
 
+  // The check that failed validation is removed before its status is written, so its result is
+  // applied here; otherwise the first failed check (or "error" with policy 'fail') is reported
+  async archiveCompletedProfile(profile, completion) {
+    const checks = { ...profile.checks };
+    const checkDetails = { ...profile.check_details };
+    let failedCheck = completion.failedCheck || null;
+    
+    if (failedCheck && failedCheck in checks) {
+      checks[failedCheck] = "failed";
+      if (completion.result) {
+        checkDetails[failedCheck] = this.buildCheckDetail("failed", completion.result, checkDetails[failedCheck]);
+      }
+    } else if (completion.outcome === 'rejected') {
+      failedCheck = Object.keys(checks).find(checkName =>
+        checks[checkName] === "failed" ||
+        (checks[checkName] === "error" && this.checkRegistry.getErrorPolicy(checkName) === 'fail')
+      ) || null;
+    }
+    
+    await this.resultsArchive.record(
+      { ...profile, checks, check_details: checkDetails },
+      { outcome: completion.outcome, failedCheck, error: completion.error }
+    );
+  }
+
   async processNextQueued() {
     const profiles = await this.getQueuedProfiles();
     
@@ -227,29 +471,37 @@ class QueueManager {
   }
 
   // Get next profile that has checks that can be processed
-  async getNextProcessableProfile() {
-    const profiles = await this.getQueuedProfiles();
+  // skipChecks: checks handled elsewhere (e.g. by the batch processor) - a profile whose only
+  // pending checks are skipped ones is neither processable nor complete
+  async getNextProcessableProfile(skipChecks = []) {
+    return this.findProcessableProfile(await this.getQueuedProfiles(), skipChecks);
+  }
+
+  // Synchronous part of getNextProcessableProfile
+  // excludeSteamIds: profiles to pass over (claimed by another worker)
+  findProcessableProfile(queuedProfiles, skipChecks = [], excludeSteamIds = new Set()) {
+    const profiles = queuedProfiles.filter(profile => !excludeSteamIds.has(profile.steam_id));
     
     if (profiles.length === 0) {
       return null;
     }
     
-    // Look for a profile with "to_check" checks that can be processed
-    for (const profile of profiles) {
-      const hasToCheck = Object.values(profile.checks).some(status => status === "to_check");
-      const hasDeferred = Object.values(profile.checks).some(status => status === "deferred");
+    // Collect profiles with "to_check" checks that can be processed; the scheduler picks one
+    const candidates = profiles.filter(profile => {
+      const checkEntries = Object.entries(profile.checks);
+      const hasToCheck = checkEntries.some(([name, status]) => status === "to_check" && !skipChecks.includes(name));
+      const hasSkippedToCheck = checkEntries.some(([name, status]) => status === "to_check" && skipChecks.includes(name));
+      const hasDeferred = checkEntries.some(([_, status]) => status === "deferred");
       
       // If profile has "to_check" checks, it can be processed
-      if (hasToCheck) {
-        return profile;
-      }
-      
-      // If profile has no "to_check" but no "deferred" either, it's complete
-      if (!hasToCheck && !hasDeferred) {
-        return profile; // Return for final processing (API submission)
-      }
-      
-      // If profile only has deferred checks, skip it for now and continue to next profile
+      // If profile has no "to_check" but no "deferred" either, it's complete (final processing / API submission)
+      // unless it is held for manual review
+      // If profile only has deferred checks, skip it for now
+      return hasToCheck || (!hasSkippedToCheck && !hasDeferred && !this.getCompletionStatus(profile).held);
+    });
+    
+    if (candidates.length > 0) {
+      return this.scheduler.pick(candidates);
     }
     
     // If no profiles with "to_check" found, return first profile with deferred checks for potential conversion
@@ -264,9 +516,86 @@ class QueueManager {
     return null;
   }
 
+  // Like getNextProcessableProfile, but the profile is reserved for the calling worker until
+  // releaseProfile() so concurrent workers never process the same profile
+  async claimNextProcessableProfile(skipChecks = []) {
+    if (await this.isProcessingPaused()) {
+      return null;
+    }
+    
+    const profiles = await this.findProcessableCandidates(skipChecks);
+    // No await between the lookup and the claim, so two workers cannot claim the same profile
+    const profile = this.findProcessableProfile(profiles, skipChecks, this.claimedProfiles);
+    if (profile) {
+      this.claimedProfiles.add(profile.steam_id);
+      this.recordWait(profile);
+    }
+    return profile;
+  }
+
+  // Profiles the next claim is picked from (see the stores' findProcessable) - lets the SQLite
+  // store answer from its check index instead of loading the whole queue on every claim
+  async findProcessableCandidates(skipChecks = []) {
+    const errorPolicyChecks = new Set([
+      ...this.checkRegistry.getNames(),
+      ...Object.keys(this.config.CHECK_ERROR_POLICIES || {})
+    ]);
+    const withPolicy = (policy) => [...errorPolicyChecks].filter(checkName => this.checkRegistry.getErrorPolicy(checkName) === policy);
+    
+    try {
+      return await this.store.findProcessable({
+        skipChecks,
+        excludeSteamIds: [...this.claimedProfiles],
+        passOnError: withPolicy('pass'),
+        failOnError: withPolicy('fail')
+      });
+    } catch (error) {
+      logger.error(`Error reading processable profiles: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Record how long a profile waited in the queue before its first claim
+  recordWait(profile) {
+    if (this.startedProfiles.has(profile.steam_id)) {
+      return;
+    }
+    
+    this.startedProfiles.add(profile.steam_id);
+    const username = profile.username || 'unknown';
+    const waitMs = Math.max(0, Date.now() - (profile.timestamp || Date.now()));
+    const stats = this.waitStats[username] || (this.waitStats[username] = { started: 0, totalWaitMs: 0, maxWaitMs: 0 });
+    stats.started++;
+    stats.totalWaitMs += waitMs;
+    stats.maxWaitMs = Math.max(stats.maxWaitMs, waitMs);
+  }
+
+  // Reserve a specific profile (deferred checks) so no worker claims it meanwhile.
+  // Returns false if a worker already holds it
+  claimProfile(steamId) {
+    if (this.claimedProfiles.has(steamId)) {
+      return false;
+    }
+    this.claimedProfiles.add(steamId);
+    return true;
+  }
+
+  releaseProfile(steamId) {
+    this.claimedProfiles.delete(steamId);
+  }
+
+  // Get profiles whose given check is still "to_check", in queue order
+  async getProfilesWithPendingCheck(checkName, limit = 100) {
+    try {
+      return await this.store.findByCheckStatus(checkName, "to_check", limit);
+    } catch (error) {
+      logger.error(`Error reading profiles with pending '${checkName}' check: ${error.message}`);
+      return [];
+    }
+  }
+
   async getAllChecksPassed(steamId) {
-    const profiles = await this.getQueuedProfiles();
-    const profile = profiles.find(p => p.steam_id === steamId);
+    const profile = await this.getProfileBySteamId(steamId);
     
     if (!profile) {
       logger.warn(`Profile ${steamId} not found in queue when checking status`);
@@ -281,48 +610,36 @@ class QueueManager {
   // Convert all deferred checks back to "to_check"
   async convertDeferredChecksToToCheck() {
     try {
-      return await this.fileManager.withFileLock(async () => {
-        // Use internal methods that don't use locking to avoid nested locks
-        const profiles = await this._readQueueProfilesInternal();
-        let conversionsCount = 0;
-        let profilesAffected = 0;
+      let conversionsCount = 0;
+      
+      const profilesAffected = await this.store.updateMany(null, (profile) => {
+        let profileChanged = false;
         
-        for (const profile of profiles) {
-          let profileChanged = false;
-          
-          for (const [checkName, status] of Object.entries(profile.checks)) {
-            if (status === "deferred") {
-              profile.checks[checkName] = "to_check";
-              conversionsCount++;
-              profileChanged = true;
-            }
-          }
-          
-          if (profileChanged) {
-            profilesAffected++;
-            const username = profile.username || 'unknown';
-            logger.debug(`Converted deferred checks for ${profile.steam_id} (user: ${username})`);
+        for (const [checkName, status] of Object.entries(profile.checks)) {
+          if (status === "deferred") {
+            profile.checks[checkName] = "to_check";
+            conversionsCount++;
+            profileChanged = true;
           }
         }
         
-        if (conversionsCount > 0) {
-          // Use internal method that doesn't use locking
-          const saveSuccess = await this._writeQueueProfilesInternal(profiles);
-          
-          if (!saveSuccess) {
-            throw new Error('Failed to save converted deferred checks');
-          }
-          
-          logger.info(`Converted ${conversionsCount} deferred checks to 'to_check' across ${profilesAffected} profiles`);
-        } else {
-          logger.debug('No deferred checks found to convert');
+        if (profileChanged) {
+          const username = profile.username || 'unknown';
+          logger.debug(`Converted deferred checks for ${profile.steam_id} (user: ${username})`);
         }
-        
-        return {
-          conversions: conversionsCount,
-          profilesAffected: profilesAffected
-        };
-      }, { operationName: 'convertDeferredChecksToToCheck' });
+        return profileChanged;
+      });
+      
+      if (conversionsCount > 0) {
+        logger.info(`Converted ${conversionsCount} deferred checks to 'to_check' across ${profilesAffected} profiles`);
+      } else {
+        logger.debug('No deferred checks found to convert');
+      }
+      
+      return {
+        conversions: conversionsCount,
+        profilesAffected: profilesAffected
+      };
     } catch (error) {
       logger.error(`Error converting deferred checks: ${error.message}`);
       return {
@@ -360,26 +677,33 @@ class QueueManager {
     };
   }
 
-  // Check if all checks are complete (passed or failed, not deferred)
+  // Check if all checks are complete (passed, failed or error - not to_check or deferred)
   async getAllChecksComplete(steamId) {
-    const profiles = await this.getQueuedProfiles();
-    const profile = profiles.find(p => p.steam_id === steamId);
+    const profile = await this.getProfileBySteamId(steamId);
     
     if (!profile) {
       logger.warn(`Profile ${steamId} not found in queue when checking completion status`);
-      return { allComplete: false, allPassed: false };
+      return { allComplete: false, allPassed: false, held: false };
     }
     
-    // Check if all checks are either passed or failed (no to_check or deferred)
-    const allComplete = Object.values(profile.checks).every(status => 
-      status === "passed" || status === "failed"
+    return this.getCompletionStatus(profile);
+  }
+
+  // A check in the terminal "error" state counts according to its error policy: 'pass' as
+  // passed, 'fail' as failed, 'hold' keeps an otherwise complete profile for manual review
+  getCompletionStatus(profile) {
+    const outcomes = Object.entries(profile.checks).map(([checkName, status]) =>
+      status === "error" ? this.checkRegistry.getErrorPolicy(checkName) : status
     );
     
-    const allPassed = Object.values(profile.checks).every(status => status === "passed");
+    const allComplete = outcomes.every(outcome => outcome !== "to_check" && outcome !== "deferred");
+    const anyFailed = outcomes.some(outcome => outcome === "failed" || outcome === "fail");
+    const allPassed = outcomes.every(outcome => outcome === "passed" || outcome === "pass");
     
     return {
       allComplete,
-      allPassed
+      allPassed,
+      held: allComplete && !anyFailed && outcomes.includes("hold")
     };
   }
 
@@ -389,13 +713,34 @@ class QueueManager {
     
     const stats = {
       totalProfiles: profiles.length,
+      inProgress: this.claimedProfiles.size,
       byUsername: {},
       byStatus: {
         to_check: 0,
         passed: 0,
         failed: 0,
-        deferred: 0
+        deferred: 0,
+        error: 0
+      },
+      held: 0, // Complete profiles waiting for manual review (error policy 'hold')
+      scheduling: this.scheduler.getConfig(),
+      waitByUsername: {}
+    };
+    
+    const now = Date.now();
+    const userWait = (username) => {
+      if (!stats.waitByUsername[username]) {
+        const { started = 0, totalWaitMs = 0, maxWaitMs = 0 } = this.waitStats[username] || {};
+        stats.waitByUsername[username] = {
+          queued: 0,
+          waiting: 0, // Not picked up by a worker yet
+          oldestWaitingMs: 0,
+          started, // Since the processor started
+          averageWaitMs: started > 0 ? Math.round(totalWaitMs / started) : 0,
+          maxWaitMs
+        };
       }
+      return stats.waitByUsername[username];
     };
     
     for (const profile of profiles) {
@@ -407,21 +752,79 @@ class QueueManager {
       }
       stats.byUsername[username]++;
       
+      const wait = userWait(username);
+      wait.queued++;
+      if (!this.startedProfiles.has(profile.steam_id)) {
+        wait.waiting++;
+        wait.oldestWaitingMs = Math.max(wait.oldestWaitingMs, now - (profile.timestamp || now));
+      }
+      
       // Count check statuses
       for (const status of Object.values(profile.checks)) {
         if (stats.byStatus[status] !== undefined) {
           stats.byStatus[status]++;
         }
       }
+      
+      if (this.getCompletionStatus(profile).held) {
+        stats.held++;
+      }
     }
     
+    // Users whose profiles were all processed still report their wait times
+    Object.keys(this.waitStats).forEach(userWait);
+    
     return stats;
   }
 
   // Get profile by Steam ID (useful for debugging)
   async getProfileBySteamId(steamId) {
-    const profiles = await this.getQueuedProfiles();
-    return profiles.find(p => p.steam_id === steamId) || null;
+    try {
+      return await this.store.get(steamId);
+    } catch (error) {
+      logger.error(`Error reading profile ${steamId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // True while a queue corruption incident is unacknowledged (see QueueQuarantine) or the queue is being replaced
+  async isProcessingPaused() {
+    if (this.replacingQueue) {
+      return true;
+    }
+    
+    const paused = await this.quarantine.isActive();
+    if (paused !== this.quarantinePaused) {
+      this.quarantinePaused = paused;
+      if (paused) {
+        logger.warn('⏸️ Queue processing paused: queue corruption detected, waiting for acknowledgement');
+      } else {
+        logger.info('▶️ Queue processing resumed');
+      }
+    }
+    return paused;
+  }
+
+  async getQuarantineStatus() {
+    return this.quarantine.getStatus();
+  }
+
+  async acknowledgeQuarantine(acknowledgedBy) {
+    return this.quarantine.acknowledge(acknowledgedBy);
+  }
+
+  // Fold the queue journal into the snapshot (journaled JSON backend; other stores have nothing to do)
+  async compactQueue() {
+    if (typeof this.store.compact !== 'function') {
+      return 0;
+    }
+
+    try {
+      return await this.store.compact();
+    } catch (error) {
+      logger.error(`Error compacting queue journal: ${error.message}`);
+      return 0;
+    }
   }
 
   // Utility method for delay
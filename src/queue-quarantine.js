@@ -0,0 +1,70 @@
+// steam-id-processor/src/queue-quarantine.js
+const fs = require('fs-extra');
+const logger = require('./utils/logger');
+
+// Corruption incidents of the JSON queue files. When a store finds profiles_queue.json (or a
+// journal line) unreadable it copies the bad file aside, restores the last good state and
+// records the incident here. While an incident is unacknowledged processing stays paused and
+// GET /health reports `corrupted`, so an operator can check the restored queue against the copy.
+// Kept in a file so the processor and a standalone API server see the same state.
+class QueueQuarantine {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  // Copy a corrupt file next to the original as <file>.corrupt-<timestamp>. Returns the copy's path.
+  // Static so the stores keep the copy even when no quarantine is passed (migrate-queue, tools)
+  static async setAside(corruptPath) {
+    const copyPath = `${corruptPath}.corrupt-${Date.now()}`;
+    await fs.copy(corruptPath, copyPath);
+    return copyPath;
+  }
+
+  // incident: { file, error, corrupt_copy, restored_from, profiles_restored }
+  async record(incident) {
+    const state = (await this.getStatus()) || { detected_at: new Date().toISOString(), incidents: [] };
+    const entry = { detected_at: new Date().toISOString(), ...incident };
+    state.incidents.push(entry);
+
+    const tempPath = `${this.filePath}.tmp.${Date.now()}.${process.pid}`;
+    await fs.writeFile(tempPath, JSON.stringify(state, null, 2), 'utf8');
+    await fs.rename(tempPath, this.filePath);
+
+    logger.error(`🚨 Queue corruption in ${incident.file}: ${incident.error}`);
+    logger.error(`🚨 Corrupt copy: ${incident.corrupt_copy}, restored ${incident.profiles_restored} profiles from ${incident.restored_from} - processing paused until acknowledged (POST /queue/quarantine/acknowledge)`);
+    return entry;
+  }
+
+  // Unacknowledged incidents ({ detected_at, incidents }) or null
+  async getStatus() {
+    if (!await fs.pathExists(this.filePath)) {
+      return null;
+    }
+
+    try {
+      return await fs.readJson(this.filePath);
+    } catch (error) {
+      // Better to stay paused than to resume on a state file we cannot read
+      logger.error(`Error reading queue quarantine state: ${error.message}`);
+      return { detected_at: null, incidents: [], error: `Unreadable quarantine state: ${error.message}` };
+    }
+  }
+
+  async isActive() {
+    return await fs.pathExists(this.filePath);
+  }
+
+  // Clear the incidents and let processing resume. Returns the acknowledged state, or null if none
+  async acknowledge(acknowledgedBy = 'unknown') {
+    const state = await this.getStatus();
+    if (!state) {
+      return null;
+    }
+
+    await fs.remove(this.filePath);
+    logger.info(`✅ Queue corruption acknowledged by ${acknowledgedBy} (${state.incidents.length} incident(s)) - processing resumes`);
+    return { ...state, acknowledged_by: acknowledgedBy, acknowledged_at: new Date().toISOString() };
+  }
+}
+
+module.exports = QueueQuarantine;
@@ -0,0 +1,74 @@
+// steam-id-processor/src/queue-scheduler.js
+
+// Picks which processable profile a worker gets next.
+// 1. Priority: only profiles with the highest `priority` (default 0) are considered.
+// 2. Policy 'fifo': the first of them in queue order.
+//    Policy 'fair': smooth weighted round-robin between the usernames that have such profiles
+//    (weight 1 unless configured), then that user's first profile in queue order - a user who
+//    posts thousands of IDs no longer starves everyone else. A weight of 0 only gets served
+//    when no other user is waiting.
+class QueueScheduler {
+  constructor(config) {
+    this.policy = config.QUEUE_SCHEDULING_POLICY === 'fifo' ? 'fifo' : 'fair';
+    this.userWeights = config.QUEUE_USER_WEIGHTS || {};
+    this.currentWeights = new Map(); // key: username, value: running weight of the round-robin
+  }
+
+  getWeight(username) {
+    const weight = this.userWeights[username];
+    return typeof weight === 'number' ? weight : 1;
+  }
+
+  // candidates: processable profiles in queue order
+  pick(candidates) {
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    // No spread into Math.max: with the JSON stores the candidates are the whole queue
+    const topPriority = candidates.reduce((max, profile) => Math.max(max, profile.priority || 0), -Infinity);
+    const pool = candidates.filter(profile => (profile.priority || 0) === topPriority);
+
+    if (this.policy === 'fifo') {
+      return pool[0];
+    }
+
+    // First profile per user, keeping queue order
+    const firstByUser = new Map();
+    for (const profile of pool) {
+      const username = profile.username || 'unknown';
+      if (!firstByUser.has(username)) {
+        firstByUser.set(username, profile);
+      }
+    }
+
+    // Users without candidates don't keep credit from earlier rounds
+    for (const username of this.currentWeights.keys()) {
+      if (!firstByUser.has(username)) {
+        this.currentWeights.delete(username);
+      }
+    }
+
+    let totalWeight = 0;
+    let selected = null;
+    for (const username of firstByUser.keys()) {
+      const weight = this.getWeight(username);
+      const current = (this.currentWeights.get(username) || 0) + weight;
+      this.currentWeights.set(username, current);
+      totalWeight += weight;
+
+      if (selected === null || current > this.currentWeights.get(selected)) {
+        selected = username;
+      }
+    }
+
+    this.currentWeights.set(selected, this.currentWeights.get(selected) - totalWeight);
+    return firstByUser.get(selected);
+  }
+
+  getConfig() {
+    return { policy: this.policy, userWeights: this.userWeights };
+  }
+}
+
+module.exports = QueueScheduler;
@@ -0,0 +1,182 @@
+// steam-id-processor/src/queue-schema-migrator.js
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./utils/logger');
+
+// Queue record upgrades, in version order. Each profile stores the version it was written with in
+// `schema_version` (records from before versioning have none = 0); at startup every profile below
+// SCHEMA_VERSION runs the migrations above its version. migrate(profile, context) changes the
+// profile in place and returns true if it changed anything. context: { config, checkRegistry }.
+// To rename a check, add a migration that calls renameCheck(profile, 'old_name', 'new_name').
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'backfill priority, original_input and timestamp',
+    migrate(profile) {
+      let changed = false;
+      if (profile.priority === undefined) {
+        profile.priority = 0;
+        changed = true;
+      }
+      if (!profile.original_input) {
+        profile.original_input = profile.steam_id;
+        changed = true;
+      }
+      if (!profile.timestamp) {
+        profile.timestamp = Date.now();
+        changed = true;
+      }
+      return changed;
+    }
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Move a check's status and details to a new name (the new name wins if both exist)
+function renameCheck(profile, from, to) {
+  if (!(from in profile.checks)) {
+    return false;
+  }
+  if (!(to in profile.checks)) {
+    profile.checks[to] = profile.checks[from];
+    if (profile.check_details && profile.check_details[from]) {
+      profile.check_details[to] = profile.check_details[from];
+    }
+  }
+  delete profile.checks[from];
+  if (profile.check_details) {
+    delete profile.check_details[from];
+  }
+  return true;
+}
+
+// Upgrades queued profiles at startup: runs pending MIGRATIONS, then adds registered checks missing
+// from a profile with QUEUE_NEW_CHECK_STATUS and removes checks that are no longer registered (so
+// getCompletionStatus sees the same checks on every profile - an unknown check would otherwise stay
+// "to_check" forever). Renamed checks need a migration that calls renameCheck, which runs first.
+// Before changing anything it saves the whole queue as a JSON array in QUEUE_MIGRATION_BACKUP_DIR
+// (importable with `npm run queue-import -- <file> --mode replace`).
+class QueueSchemaMigrator {
+  constructor(config, queueManager) {
+    this.config = config;
+    this.queueManager = queueManager;
+    this.checkRegistry = queueManager.checkRegistry;
+    this.newCheckStatus = config.QUEUE_NEW_CHECK_STATUS || 'to_check';
+    this.backupDir = config.QUEUE_MIGRATION_BACKUP_DIR;
+  }
+
+  newReport() {
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      profiles: 0,
+      migrated: 0,
+      migrations: {}, // key: version, value: profiles changed
+      addedChecks: {}, // key: check name, value: profiles it was added to
+      removedChecks: {}, // key: check name, value: profiles it was removed from (no longer registered)
+      unknownChecks: {}, // key: check name, value: profiles keeping an unregistered check (registry failed to load)
+      backupPath: null
+    };
+  }
+
+  // Apply pending migrations and the registry sync to one profile. Returns true if it changed
+  migrateProfile(profile, report) {
+    const context = { config: this.config, checkRegistry: this.checkRegistry };
+    const fromVersion = profile.schema_version || 0;
+    let changed = false;
+
+    for (const migration of MIGRATIONS) {
+      if (migration.version > fromVersion && migration.migrate(profile, context)) {
+        report.migrations[migration.version] = (report.migrations[migration.version] || 0) + 1;
+        changed = true;
+      }
+    }
+    if (fromVersion < SCHEMA_VERSION) {
+      profile.schema_version = SCHEMA_VERSION;
+      changed = true;
+    }
+
+    // Disabled checks stay out, as for new profiles (CheckRegistry.getDefaultChecks)
+    for (const check of this.checkRegistry.getAll()) {
+      if (check.enabled && !(check.name in profile.checks)) {
+        profile.checks[check.name] = this.newCheckStatus;
+        report.addedChecks[check.name] = (report.addedChecks[check.name] || 0) + 1;
+        changed = true;
+      }
+    }
+
+    // With a check module that failed to load, its checks would be dropped by mistake - keep them
+    const canRemove = this.checkRegistry.loadErrors.length === 0;
+    for (const checkName of Object.keys(profile.checks)) {
+      if (this.checkRegistry.has(checkName)) {
+        continue;
+      }
+      if (!canRemove) {
+        report.unknownChecks[checkName] = (report.unknownChecks[checkName] || 0) + 1;
+        continue;
+      }
+      delete profile.checks[checkName];
+      if (profile.check_details) {
+        delete profile.check_details[checkName];
+      }
+      report.removedChecks[checkName] = (report.removedChecks[checkName] || 0) + 1;
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  async backup(profiles) {
+    const fromVersion = profiles.reduce((lowest, profile) => Math.min(lowest, profile.schema_version || 0), SCHEMA_VERSION);
+    const backupPath = path.join(this.backupDir, `profiles_queue-v${fromVersion}-${Date.now()}.json`);
+    await fs.ensureDir(this.backupDir);
+    await fs.writeFile(backupPath, JSON.stringify(profiles, null, 2), 'utf8');
+    return backupPath;
+  }
+
+  // Throws if the backup cannot be written - the queue is then left as it was
+  async run() {
+    const profiles = await this.queueManager.getQueuedProfiles();
+    const dryRun = this.newReport();
+    const pending = profiles.filter(profile => this.migrateProfile(structuredClone(profile), dryRun));
+
+    if (pending.length === 0) {
+      logger.info(`🧬 Queue schema up to date (v${SCHEMA_VERSION}, ${profiles.length} profiles)`);
+      this.logUnknownChecks(dryRun);
+      return { ...dryRun, profiles: profiles.length };
+    }
+
+    const report = this.newReport();
+    report.profiles = profiles.length;
+    report.backupPath = await this.backup(profiles);
+    report.migrated = await this.queueManager.store.updateMany(null, (profile) => this.migrateProfile(profile, report));
+
+    logger.info(`🧬 Queue schema migration: ${report.migrated}/${report.profiles} profiles upgraded to v${SCHEMA_VERSION} (backup: ${report.backupPath})`);
+    for (const migration of MIGRATIONS) {
+      if (report.migrations[migration.version]) {
+        logger.info(`    v${migration.version} (${migration.description}): ${report.migrations[migration.version]} profiles`);
+      }
+    }
+    for (const [checkName, count] of Object.entries(report.addedChecks)) {
+      logger.info(`    Added check '${checkName}' as '${this.newCheckStatus}' to ${count} profiles`);
+    }
+    for (const [checkName, count] of Object.entries(report.removedChecks)) {
+      logger.warn(`    Removed unregistered check '${checkName}' from ${count} profiles (add a migration with renameCheck if it was renamed)`);
+    }
+    this.logUnknownChecks(report);
+
+    return report;
+  }
+
+  logUnknownChecks(report) {
+    for (const [checkName, count] of Object.entries(report.unknownChecks)) {
+      logger.warn(`🧬 Check '${checkName}' on ${count} queued profiles is not registered - kept because check modules failed to load (${this.checkRegistry.loadErrors.map(entry => entry.file).join(', ')})`);
+    }
+  }
+}
+
+QueueSchemaMigrator.SCHEMA_VERSION = SCHEMA_VERSION;
+QueueSchemaMigrator.MIGRATIONS = MIGRATIONS;
+QueueSchemaMigrator.renameCheck = renameCheck;
+
+module.exports = QueueSchemaMigrator;
@@ -0,0 +1,36 @@
+// steam-id-processor/src/queue-stores/index.js
+const JsonQueueStore = require('./json-queue-store');
+const JournaledJsonQueueStore = require('./journaled-json-queue-store');
+
+// Storage behind QueueManager, picked by QUEUE_BACKEND. Every store implements:
+//   init(), cleanup()
+//   getAll()                              - all profiles in queue order
+//   get(steamId)                          - profile or null
+//   findByCheckStatus(check, status, n)   - first n profiles whose check has that status
+//   findProcessable(options)              - profiles QueueManager.findProcessableProfile picks the next one
+//                                           from (SQLite narrows them down, the JSON stores return the queue)
+//   insert(profile)                       - { profile, created }, keeps an already queued steam ID
+//   update(steamId, mutate)               - mutate(profile) atomically, returns the profile or null
+//   updateMany(steamIds|null, mutate)     - mutate returns true if changed, returns the changed count
+//   remove(steamId)                       - removed profile or null
+//   replaceAll(profiles)
+// Stores that batch writes also implement compact() (see QueueManager.compactQueue).
+// quarantine: QueueQuarantine that the JSON stores report corrupt files to
+function createQueueStore(config, quarantine = null) {
+  if (config.QUEUE_BACKEND === 'sqlite') {
+    // Loaded lazily - better-sqlite3 is only needed for this backend
+    const SqliteQueueStore = require('./sqlite-queue-store');
+    return new SqliteQueueStore(config.QUEUE_DB_PATH);
+  }
+  return createJsonQueueStore(config, quarantine);
+}
+
+function createJsonQueueStore(config, quarantine = null) {
+  const options = { journalPath: config.QUEUE_JOURNAL_PATH, quarantine };
+  if (config.QUEUE_JOURNAL_ENABLED) {
+    return new JournaledJsonQueueStore(config.QUEUE_PATH, options);
+  }
+  return new JsonQueueStore(config.QUEUE_PATH, options);
+}
+
+module.exports = { createQueueStore, createJsonQueueStore };
@@ -0,0 +1,379 @@
+// steam-id-processor/src/queue-stores/journaled-json-queue-store.js
+const fs = require('fs-extra');
+const logger = require('../utils/logger');
+const QueueQuarantine = require('../queue-quarantine');
+const QueueFileManager = require('../utils/queue-file-manager');
+
+// JSON queue with an append-only journal (QUEUE_JOURNAL_ENABLED). profiles_queue.json is the
+// snapshot; each change appends one line to QUEUE_JOURNAL_PATH ({ op: 'insert' | 'update', profile }
+// or { op: 'remove', steam_id }) instead of rewriting the whole array. compact() folds the journal
+// into a new snapshot: at startup (crash recovery) and periodically from the processor.
+//
+// Each process keeps the queue in memory and, under the QueueFileManager lock, catches up on the
+// lines other processes (processor, standalone API server) appended before touching it.
+// Lines carry the whole profile, so replaying one twice (crash between writing the snapshot
+// and truncating the journal) leaves the queue unchanged.
+//
+// An unreadable snapshot is set aside and rebuilt from this process's in-memory queue, or from
+// <file>.last-good (copy of the last snapshot written) plus the journal; unreadable journal lines
+// are set aside and skipped. Both are recorded in QueueQuarantine. Without a usable last good
+// snapshot (and no in-memory queue) the snapshot is left untouched and syncing throws.
+class JournaledJsonQueueStore {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.journalPath = options.journalPath;
+    this.quarantine = options.quarantine || null;
+    this.lastGoodPath = `${filePath}.last-good`;
+    this.fileManager = new QueueFileManager(filePath);
+    this.profiles = new Map(); // key: steam_id, in queue order
+    this.snapshotId = null; // inode/mtime/size of the snapshot loaded into memory
+    this.journalOffset = 0; // Journal bytes already applied
+    this.journalEntries = 0; // Journal lines applied on top of the snapshot
+  }
+
+  async init() {
+    try {
+      await this.fileManager.ensureQueueFileExists();
+      await this.compact(); // Replays whatever a previous run left in the journal
+
+      await this.withSyncedQueue(async () => {
+        if (!await fs.pathExists(this.lastGoodPath)) {
+          await fs.copy(this.filePath, this.lastGoodPath);
+        }
+      }, { operationName: 'saveLastGood' });
+    } catch (error) {
+      logger.error(`Error initializing journaled queue: ${error.message}`);
+    }
+  }
+
+  async cleanup() {
+    await this.fileManager.cleanup();
+  }
+
+  // Internal method without locking - bring the in-memory queue up to date with the files
+  async syncInternal() {
+    const stat = await fs.stat(this.filePath);
+    const snapshotId = `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+
+    if (snapshotId !== this.snapshotId) {
+      // First load, or another process compacted / replaced the queue
+      let profiles;
+      try {
+        profiles = this.fileManager.validateJsonContent(await fs.readFile(this.filePath, 'utf8'), 'snapshot read').parsed;
+      } catch (error) {
+        return this.recoverSnapshotInternal(error);
+      }
+      this.profiles = new Map(profiles.map(profile => [profile.steam_id, profile]));
+      this.snapshotId = snapshotId;
+      this.journalOffset = 0;
+      this.journalEntries = 0;
+    }
+
+    await this.replayJournalInternal();
+  }
+
+  // Internal method without locking - apply journal lines appended since the last sync
+  async replayJournalInternal() {
+    if (!await fs.pathExists(this.journalPath)) {
+      this.journalOffset = 0;
+      return;
+    }
+
+    const { size } = await fs.stat(this.journalPath);
+    if (size < this.journalOffset) {
+      // Truncated without a new snapshot (edited by hand) - start over from the snapshot
+      this.snapshotId = null;
+      return this.syncInternal();
+    }
+    if (size === this.journalOffset) {
+      return;
+    }
+
+    const buffer = Buffer.alloc(size - this.journalOffset);
+    const handle = await fs.promises.open(this.journalPath, 'r');
+    try {
+      await handle.read(buffer, 0, buffer.length, this.journalOffset);
+    } finally {
+      await handle.close();
+    }
+
+    // A line without its newline is an append cut short by a crash - nobody else
+    // writes while we hold the lock, so drop it
+    const completeLength = buffer.lastIndexOf(0x0a) + 1;
+    if (completeLength < buffer.length) {
+      logger.warn(`Dropping incomplete queue journal line (${buffer.length - completeLength} bytes) left by an interrupted write`);
+      await fs.truncate(this.journalPath, this.journalOffset + completeLength);
+    }
+
+    const lines = buffer.toString('utf8', 0, completeLength).split('\n');
+    const unreadable = [];
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        this.applyEntry(JSON.parse(line));
+        this.journalEntries++;
+      } catch (error) {
+        unreadable.push(line);
+        logger.warn(`Skipping unreadable queue journal line: ${line.slice(0, 80)}`);
+      }
+    }
+    this.journalOffset += completeLength;
+
+    if (unreadable.length > 0) {
+      await this.quarantineJournalInternal(unreadable);
+    }
+  }
+
+  // Internal method without locking - set the journal aside and fold the readable lines into a
+  // snapshot, so the bad lines are not replayed (and reported) again by every process
+  async quarantineJournalInternal(unreadable) {
+    const corruptCopy = await QueueQuarantine.setAside(this.journalPath);
+    await this.writeSnapshotInternal(Array.from(this.profiles.values()));
+
+    const incident = {
+      file: this.journalPath,
+      error: `${unreadable.length} unreadable journal line(s), first: ${unreadable[0].slice(0, 200)}`,
+      corrupt_copy: corruptCopy,
+      restored_from: 'snapshot + readable journal lines',
+      profiles_restored: this.profiles.size
+    };
+    if (this.quarantine) {
+      await this.quarantine.record(incident);
+    } else {
+      logger.error(`Queue journal ${this.journalPath} had ${incident.error} (copy: ${corruptCopy})`);
+    }
+  }
+
+  // Internal method without locking - set the corrupt snapshot aside and rebuild it
+  async recoverSnapshotInternal(error) {
+    let corruptCopy;
+    let restoredFrom;
+
+    if (this.snapshotId !== null) {
+      // The queue is still in memory: catch up on the journal and write it out
+      const journalSize = await fs.pathExists(this.journalPath) ? (await fs.stat(this.journalPath)).size : 0;
+      if (journalSize >= this.journalOffset) {
+        await this.replayJournalInternal();
+      }
+      corruptCopy = await QueueQuarantine.setAside(this.filePath);
+      await this.writeSnapshotInternal(Array.from(this.profiles.values()));
+      restoredFrom = 'in-memory queue of this process';
+    } else {
+      // Last snapshot written + the journal recorded since. Journal lines alone would only hold
+      // the profiles changed since then, so without that snapshot nothing is restored
+      let content;
+      try {
+        content = await fs.readFile(this.lastGoodPath, 'utf8');
+        this.fileManager.validateJsonContent(content, 'last good snapshot');
+      } catch (lastGoodError) {
+        throw new Error(`Queue snapshot ${this.filePath} is corrupt (${error.message}) and the last good snapshot is unusable (${lastGoodError.message}) - repair it by hand`);
+      }
+      restoredFrom = `${this.lastGoodPath} + journal`;
+
+      corruptCopy = await QueueQuarantine.setAside(this.filePath);
+      const tempPath = `${this.filePath}.tmp.${Date.now()}.${process.pid}`;
+      await fs.writeFile(tempPath, content, 'utf8');
+      await fs.rename(tempPath, this.filePath);
+      await this.syncInternal(); // Loads the restored snapshot and replays the journal
+    }
+
+    const incident = {
+      file: this.filePath,
+      error: error.message,
+      corrupt_copy: corruptCopy,
+      restored_from: restoredFrom,
+      profiles_restored: this.profiles.size
+    };
+    if (this.quarantine) {
+      await this.quarantine.record(incident);
+    } else {
+      logger.error(`Queue snapshot ${this.filePath} was corrupt (${error.message}), restored ${incident.profiles_restored} profiles from ${restoredFrom} (corrupt copy: ${corruptCopy})`);
+    }
+  }
+
+  applyEntry(entry) {
+    switch (entry.op) {
+      case 'insert':
+        if (!this.profiles.has(entry.profile.steam_id)) {
+          this.profiles.set(entry.profile.steam_id, entry.profile);
+        }
+        break;
+      case 'update':
+        if (this.profiles.has(entry.profile.steam_id)) {
+          this.profiles.set(entry.profile.steam_id, entry.profile); // Map.set keeps the queue position
+        }
+        break;
+      case 'remove':
+        this.profiles.delete(entry.steam_id);
+        break;
+      default:
+        throw new Error(`Unknown journal operation: ${entry.op}`);
+    }
+  }
+
+  // Internal method without locking - append entries to the journal, then apply them in memory
+  async appendInternal(entries) {
+    const content = entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+    await fs.appendFile(this.journalPath, content, 'utf8');
+    entries.forEach(entry => this.applyEntry(entry));
+    this.journalOffset += Buffer.byteLength(content);
+    this.journalEntries += entries.length;
+  }
+
+  // Internal method without locking - replace the snapshot and empty the journal
+  async writeSnapshotInternal(profiles) {
+    const jsonData = JSON.stringify(profiles, null, 2);
+    this.fileManager.validateJsonContent(jsonData, 'snapshot write');
+
+    const tempPath = `${this.filePath}.tmp.${Date.now()}.${process.pid}`;
+    await fs.writeFile(tempPath, jsonData, 'utf8');
+    await fs.rename(tempPath, this.filePath);
+    await fs.copy(this.filePath, this.lastGoodPath); // Restore point if the snapshot gets corrupted
+    // Truncate only after the rename - a crash in between replays the journal onto the new snapshot
+    await fs.writeFile(this.journalPath, '', 'utf8');
+
+    const stat = await fs.stat(this.filePath);
+    this.profiles = new Map(profiles.map(profile => [profile.steam_id, profile]));
+    this.snapshotId = `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+    this.journalOffset = 0;
+    this.journalEntries = 0;
+  }
+
+  // Run operation on the synced in-memory queue under the file lock
+  async withSyncedQueue(operation, options) {
+    return this.fileManager.withFileLock(async () => {
+      await this.syncInternal();
+      return operation();
+    }, options);
+  }
+
+  // Fold the journal into a new snapshot. Returns the number of journal entries folded
+  async compact() {
+    return this.withSyncedQueue(async () => {
+      const folded = this.journalEntries;
+      if (this.journalOffset === 0) {
+        return 0;
+      }
+
+      await this.writeSnapshotInternal(Array.from(this.profiles.values()));
+      logger.info(`🗜️ Queue journal compacted: ${folded} entries folded into a snapshot of ${this.profiles.size} profiles`);
+      return folded;
+    }, { operationName: 'compact' });
+  }
+
+  async getJournalStats() {
+    return this.withSyncedQueue(async () => ({
+      entries: this.journalEntries,
+      bytes: this.journalOffset,
+      profiles: this.profiles.size
+    }), { readOnly: true, operationName: 'getJournalStats' });
+  }
+
+  async getAll() {
+    return this.withSyncedQueue(async () => {
+      return Array.from(this.profiles.values(), profile => structuredClone(profile));
+    }, { readOnly: true, operationName: 'getAll' });
+  }
+
+  async get(steamId) {
+    return this.withSyncedQueue(async () => {
+      const profile = this.profiles.get(steamId);
+      return profile ? structuredClone(profile) : null;
+    }, { readOnly: true, operationName: `get_${steamId}` });
+  }
+
+  // Profiles whose check `checkName` has `status`, in queue order
+  async findByCheckStatus(checkName, status, limit) {
+    return this.withSyncedQueue(async () => {
+      const matches = [];
+      for (const profile of this.profiles.values()) {
+        if (matches.length >= limit) {
+          break;
+        }
+        if (profile.checks[checkName] === status) {
+          matches.push(structuredClone(profile));
+        }
+      }
+      return matches;
+    }, { readOnly: true, operationName: `findByCheckStatus_${checkName}` });
+  }
+
+  // Every profile is a candidate here - QueueManager.findProcessableProfile filters them
+  async findProcessable() {
+    return this.getAll();
+  }
+
+  // Append a profile unless the steam ID is already queued. Returns { profile, created }
+  async insert(profile) {
+    return this.withSyncedQueue(async () => {
+      const existing = this.profiles.get(profile.steam_id);
+      if (existing) {
+        return { profile: structuredClone(existing), created: false };
+      }
+
+      await this.appendInternal([{ op: 'insert', profile: structuredClone(profile) }]);
+      return { profile, created: true };
+    }, { operationName: `insert_${profile.steam_id}` });
+  }
+
+  // Apply mutate(profile) to a copy and journal it. Returns the updated profile, or null if not queued
+  async update(steamId, mutate) {
+    return this.withSyncedQueue(async () => {
+      if (!this.profiles.has(steamId)) {
+        return null;
+      }
+
+      const profile = structuredClone(this.profiles.get(steamId));
+      mutate(profile);
+      await this.appendInternal([{ op: 'update', profile: structuredClone(profile) }]);
+      return profile;
+    }, { operationName: `update_${steamId}` });
+  }
+
+  // Apply mutate(profile) to the given steam IDs (null = every profile) in one append.
+  // mutate returns true if it changed the profile. Returns the number of changed profiles
+  async updateMany(steamIds, mutate) {
+    return this.withSyncedQueue(async () => {
+      const candidates = steamIds
+        ? steamIds.map(steamId => this.profiles.get(steamId)).filter(Boolean)
+        : Array.from(this.profiles.values());
+
+      const entries = [];
+      for (const candidate of candidates) {
+        const profile = structuredClone(candidate);
+        if (mutate(profile)) {
+          entries.push({ op: 'update', profile });
+        }
+      }
+
+      if (entries.length > 0) {
+        await this.appendInternal(entries);
+      }
+      return entries.length;
+    }, { operationName: `updateMany_${steamIds ? steamIds.length : 'all'}` });
+  }
+
+  // Returns the removed profile, or null if not queued
+  async remove(steamId) {
+    return this.withSyncedQueue(async () => {
+      const profile = this.profiles.get(steamId);
+      if (!profile) {
+        return null;
+      }
+
+      await this.appendInternal([{ op: 'remove', steam_id: steamId }]);
+      return profile;
+    }, { operationName: `remove_${steamId}` });
+  }
+
+  async replaceAll(profiles) {
+    // No sync first - the current snapshot and journal are discarded anyway
+    await this.fileManager.withFileLock(async () => {
+      await this.writeSnapshotInternal(profiles.map(profile => structuredClone(profile)));
+    }, { operationName: 'replaceAll' });
+  }
+}
+
+module.exports = JournaledJsonQueueStore;
@@ -0,0 +1,205 @@
+// steam-id-processor/src/queue-stores/json-queue-store.js
+const fs = require('fs-extra');
+const logger = require('../utils/logger');
+const QueueQuarantine = require('../queue-quarantine');
+const QueueFileManager = require('../utils/queue-file-manager');
+
+// Queue kept as a JSON array in profiles_queue.json. Every change reads and rewrites the whole
+// file under the QueueFileManager lock - simple and easy to inspect, but each write costs
+// O(queue size). The default JSON store (unless QUEUE_JOURNAL_ENABLED=true); see JournaledJsonQueueStore and
+// SqliteQueueStore for large queues.
+// An unreadable file is not treated as an empty queue: it is set aside and the last content this
+// process read or wrote (else <file>.last-good, the version before the last write) is restored -
+// see QueueQuarantine. With nothing to restore, reads throw and the file is left untouched.
+class JsonQueueStore {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.journalPath = options.journalPath || null; // Left over from running with QUEUE_JOURNAL_ENABLED
+    this.quarantine = options.quarantine || null;
+    this.lastGoodPath = `${filePath}.last-good`;
+    this.lastGoodContent = null; // Last valid file content read or written by this process
+    this.fileManager = new QueueFileManager(filePath);
+  }
+
+  async init() {
+    await this.fileManager.ensureQueueFileExists();
+
+    // Changes still in the journal would be lost once this store rewrites the file
+    if (this.journalPath && await fs.pathExists(this.journalPath) && (await fs.stat(this.journalPath)).size > 0) {
+      const JournaledJsonQueueStore = require('./journaled-json-queue-store');
+      const journaled = new JournaledJsonQueueStore(this.filePath, { journalPath: this.journalPath, quarantine: this.quarantine });
+      await journaled.compact();
+      logger.info(`Folded the leftover queue journal ${this.journalPath} into ${this.filePath}`);
+    }
+
+  }
+
+  async cleanup() {
+    await this.fileManager.cleanup();
+  }
+
+  // Internal method without locking - for use within withFileLock operations
+  async readInternal() {
+    const content = await fs.readFile(this.filePath, 'utf8');
+    try {
+      const { parsed } = this.fileManager.validateJsonContent(content, 'queue read');
+      this.lastGoodContent = content;
+      return parsed;
+    } catch (error) {
+      return this.recoverInternal(error);
+    }
+  }
+
+  // Internal method without locking - for use within withFileLock operations
+  // keepRestorePoint: keep the current (valid) file as <file>.last-good
+  async writeInternal(profiles, { keepRestorePoint = true } = {}) {
+    const content = JSON.stringify(profiles, null, 2);
+    this.fileManager.validateJsonContent(content, 'queue write');
+
+    const tempPath = `${this.filePath}.tmp.${Date.now()}.${process.pid}`;
+    await fs.writeFile(tempPath, content, 'utf8');
+    if (keepRestorePoint) {
+      // A hard link keeps the old version without copying it
+      await fs.remove(this.lastGoodPath);
+      try {
+        await fs.link(this.filePath, this.lastGoodPath);
+      } catch (error) {
+        await fs.copy(this.filePath, this.lastGoodPath);
+      }
+    }
+    await fs.rename(tempPath, this.filePath);
+    this.lastGoodContent = content;
+  }
+
+  // Internal method without locking - set the corrupt file aside and restore the last good content
+  async recoverInternal(error) {
+    let restored = null;
+    let restoredFrom;
+    if (this.lastGoodContent) {
+      restored = JSON.parse(this.lastGoodContent);
+      restoredFrom = 'last content read by this process';
+    } else if (await fs.pathExists(this.lastGoodPath)) {
+      try {
+        restored = this.fileManager.validateJsonContent(await fs.readFile(this.lastGoodPath, 'utf8'), 'last good copy').parsed;
+        restoredFrom = this.lastGoodPath;
+      } catch (lastGoodError) {
+        logger.error(`Last good queue copy is unusable too: ${lastGoodError.message}`);
+      }
+    }
+
+    if (!restored) {
+      // Writing an empty queue here would lose every profile in the corrupt file
+      throw new Error(`Queue file ${this.filePath} is corrupt (${error.message}) and there is no last good copy to restore - repair it by hand`);
+    }
+
+    const corruptCopy = await QueueQuarantine.setAside(this.filePath);
+    await this.writeInternal(restored, { keepRestorePoint: false });
+
+    if (this.quarantine) {
+      await this.quarantine.record({
+        file: this.filePath,
+        error: error.message,
+        corrupt_copy: corruptCopy,
+        restored_from: restoredFrom,
+        profiles_restored: restored.length
+      });
+    } else {
+      logger.error(`Queue file ${this.filePath} was corrupt (${error.message}), restored ${restored.length} profiles from ${restoredFrom} (corrupt copy: ${corruptCopy})`);
+    }
+    return restored;
+  }
+
+  async getAll() {
+    return this.fileManager.withFileLock(async () => this.readInternal(), { operationName: 'getAll' });
+  }
+
+  async get(steamId) {
+    const profiles = await this.getAll();
+    return profiles.find(profile => profile.steam_id === steamId) || null;
+  }
+
+  // Profiles whose check `checkName` has `status`, in queue order
+  async findByCheckStatus(checkName, status, limit) {
+    const profiles = await this.getAll();
+    return profiles.filter(profile => profile.checks[checkName] === status).slice(0, limit);
+  }
+
+  // Every profile is a candidate here - QueueManager.findProcessableProfile filters them
+  async findProcessable() {
+    return this.getAll();
+  }
+
+  // Append a profile unless the steam ID is already queued. Returns { profile, created }
+  async insert(profile) {
+    return this.fileManager.withFileLock(async () => {
+      const profiles = await this.readInternal();
+      const existing = profiles.find(entry => entry.steam_id === profile.steam_id);
+      if (existing) {
+        return { profile: existing, created: false };
+      }
+
+      profiles.push(profile);
+      await this.writeInternal(profiles);
+      return { profile, created: true };
+    }, { operationName: `insert_${profile.steam_id}` });
+  }
+
+  // Apply mutate(profile) in place and save. Returns the updated profile, or null if not queued
+  async update(steamId, mutate) {
+    return this.fileManager.withFileLock(async () => {
+      const profiles = await this.readInternal();
+      const profile = profiles.find(entry => entry.steam_id === steamId);
+      if (!profile) {
+        return null;
+      }
+
+      mutate(profile);
+      await this.writeInternal(profiles);
+      return profile;
+    }, { operationName: `update_${steamId}` });
+  }
+
+  // Apply mutate(profile) to the given steam IDs (null = every profile) in one write.
+  // mutate returns true if it changed the profile. Returns the number of changed profiles
+  async updateMany(steamIds, mutate) {
+    const wanted = steamIds ? new Set(steamIds) : null;
+
+    return this.fileManager.withFileLock(async () => {
+      const profiles = await this.readInternal();
+      let changed = 0;
+      for (const profile of profiles) {
+        if ((!wanted || wanted.has(profile.steam_id)) && mutate(profile)) {
+          changed++;
+        }
+      }
+
+      if (changed > 0) {
+        await this.writeInternal(profiles);
+      }
+      return changed;
+    }, { operationName: `updateMany_${steamIds ? steamIds.length : 'all'}` });
+  }
+
+  // Returns the removed profile, or null if not queued
+  async remove(steamId) {
+    return this.fileManager.withFileLock(async () => {
+      const profiles = await this.readInternal();
+      const profile = profiles.find(entry => entry.steam_id === steamId);
+      if (!profile) {
+        return null;
+      }
+
+      await this.writeInternal(profiles.filter(entry => entry !== profile));
+      return profile;
+    }, { operationName: `remove_${steamId}` });
+  }
+
+  async replaceAll(profiles) {
+    // The current file may be what is being replaced because it is broken - no restore point
+    await this.fileManager.withFileLock(async () => {
+      await this.writeInternal(profiles, { keepRestorePoint: false });
+    }, { operationName: 'replaceAll' });
+  }
+}
+
+module.exports = JsonQueueStore;
@@ -0,0 +1,222 @@
+// steam-id-processor/src/queue-stores/sqlite-queue-store.js
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS profiles (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    steam_id TEXT NOT NULL UNIQUE,
+    username TEXT NOT NULL,
+    priority INTEGER NOT NULL DEFAULT 0,
+    timestamp INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_profiles_username ON profiles (username);
+
+  CREATE TABLE IF NOT EXISTS profile_checks (
+    steam_id TEXT NOT NULL REFERENCES profiles (steam_id) ON DELETE CASCADE,
+    check_name TEXT NOT NULL,
+    status TEXT NOT NULL,
+    PRIMARY KEY (steam_id, check_name)
+  );
+  CREATE INDEX IF NOT EXISTS idx_profile_checks_status ON profile_checks (check_name, status);
+  CREATE INDEX IF NOT EXISTS idx_profile_checks_any_status ON profile_checks (status);
+`;
+
+// Queue kept in an embedded SQLite database. Each profile is one row (full profile as JSON in
+// `data`, queue order in `seq`) plus one profile_checks row per check, indexed by status, so
+// a check result is a single-row transaction instead of a rewrite of the whole queue.
+// WAL mode lets the processor and a standalone API server use the same database file.
+// Needs the optional better-sqlite3 dependency; the API is synchronous, the methods stay async
+// to match JsonQueueStore.
+class SqliteQueueStore {
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error(`The SQLite queue backend needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+    }
+
+    fs.ensureDirSync(path.dirname(dbPath));
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      all: this.db.prepare('SELECT data FROM profiles ORDER BY seq'),
+      get: this.db.prepare('SELECT data FROM profiles WHERE steam_id = ?'),
+      byCheckStatus: this.db.prepare(`
+        SELECT p.data FROM profiles p
+        JOIN profile_checks c ON c.steam_id = p.steam_id
+        WHERE c.check_name = ? AND c.status = ?
+        ORDER BY p.seq LIMIT ?
+      `),
+      // Same candidates as QueueManager.findProcessableProfile: a "to_check" check outside @skip, or
+      // complete (nothing "to_check"/"deferred") and not held - a check in "error" holds the profile
+      // unless its error policy is in @passOnError, or another check failed. JSON lists as parameters
+      processable: this.db.prepare(`
+        WITH candidates AS (
+          SELECT p.seq, p.username, p.priority, p.data FROM profiles p
+          WHERE p.steam_id NOT IN (SELECT value FROM json_each(@exclude))
+            AND (
+              EXISTS (SELECT 1 FROM profile_checks c WHERE c.steam_id = p.steam_id AND c.status = 'to_check'
+                AND c.check_name NOT IN (SELECT value FROM json_each(@skip)))
+              OR (
+                NOT EXISTS (SELECT 1 FROM profile_checks c WHERE c.steam_id = p.steam_id AND c.status IN ('to_check', 'deferred'))
+                AND (
+                  EXISTS (SELECT 1 FROM profile_checks c WHERE c.steam_id = p.steam_id
+                    AND (c.status = 'failed' OR (c.status = 'error' AND c.check_name IN (SELECT value FROM json_each(@failOnError)))))
+                  OR NOT EXISTS (SELECT 1 FROM profile_checks c WHERE c.steam_id = p.steam_id AND c.status = 'error'
+                    AND c.check_name NOT IN (SELECT value FROM json_each(@failOnError))
+                    AND c.check_name NOT IN (SELECT value FROM json_each(@passOnError)))
+                )
+              )
+            )
+        ),
+        top AS (
+          SELECT * FROM candidates WHERE priority = (SELECT MAX(priority) FROM candidates)
+        )
+        SELECT data FROM top WHERE seq IN (SELECT MIN(seq) FROM top GROUP BY username) ORDER BY seq
+      `),
+      firstDeferred: this.db.prepare(`
+        SELECT p.data FROM profiles p
+        WHERE p.steam_id IN (SELECT steam_id FROM profile_checks WHERE status = 'deferred')
+          AND p.steam_id NOT IN (SELECT value FROM json_each(@exclude))
+        ORDER BY p.seq LIMIT 1
+      `),
+      insert: this.db.prepare('INSERT INTO profiles (steam_id, username, priority, timestamp, data) VALUES (?, ?, ?, ?, ?)'),
+      update: this.db.prepare('UPDATE profiles SET username = ?, priority = ?, timestamp = ?, data = ? WHERE steam_id = ?'),
+      remove: this.db.prepare('DELETE FROM profiles WHERE steam_id = ?'),
+      removeAll: this.db.prepare('DELETE FROM profiles'),
+      clearChecks: this.db.prepare('DELETE FROM profile_checks WHERE steam_id = ?'),
+      insertCheck: this.db.prepare('INSERT INTO profile_checks (steam_id, check_name, status) VALUES (?, ?, ?)')
+    };
+
+    logger.info(`SQLite queue store opened: ${dbPath}`);
+  }
+
+  async init() {}
+
+  async cleanup() {
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+
+  writeChecks(profile) {
+    this.statements.clearChecks.run(profile.steam_id);
+    for (const [checkName, status] of Object.entries(profile.checks || {})) {
+      this.statements.insertCheck.run(profile.steam_id, checkName, status);
+    }
+  }
+
+  insertRow(profile) {
+    this.statements.insert.run(profile.steam_id, profile.username, profile.priority || 0, profile.timestamp || null, JSON.stringify(profile));
+    this.writeChecks(profile);
+  }
+
+  updateRow(profile) {
+    this.statements.update.run(profile.username, profile.priority || 0, profile.timestamp || null, JSON.stringify(profile), profile.steam_id);
+    this.writeChecks(profile);
+  }
+
+  getRow(steamId) {
+    const row = this.statements.get.get(steamId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async getAll() {
+    return this.statements.all.all().map(row => JSON.parse(row.data));
+  }
+
+  async get(steamId) {
+    return this.getRow(steamId);
+  }
+
+  async findByCheckStatus(checkName, status, limit) {
+    return this.statements.byCheckStatus.all(checkName, status, limit).map(row => JSON.parse(row.data));
+  }
+
+  // The first candidate per username at the top priority (all the scheduler looks at), else the
+  // first profile with a deferred check - without reading and parsing every profile
+  async findProcessable({ skipChecks = [], excludeSteamIds = [], passOnError = [], failOnError = [] } = {}) {
+    const exclude = JSON.stringify(excludeSteamIds);
+    const rows = this.statements.processable.all({
+      exclude,
+      skip: JSON.stringify(skipChecks),
+      passOnError: JSON.stringify(passOnError),
+      failOnError: JSON.stringify(failOnError)
+    });
+    if (rows.length > 0) {
+      return rows.map(row => JSON.parse(row.data));
+    }
+
+    const deferred = this.statements.firstDeferred.get({ exclude });
+    return deferred ? [JSON.parse(deferred.data)] : [];
+  }
+
+  async insert(profile) {
+    return this.db.transaction(() => {
+      const existing = this.getRow(profile.steam_id);
+      if (existing) {
+        return { profile: existing, created: false };
+      }
+      this.insertRow(profile);
+      return { profile, created: true };
+    }).immediate();
+  }
+
+  async update(steamId, mutate) {
+    return this.db.transaction(() => {
+      const profile = this.getRow(steamId);
+      if (!profile) {
+        return null;
+      }
+      mutate(profile);
+      this.updateRow(profile);
+      return profile;
+    }).immediate();
+  }
+
+  async updateMany(steamIds, mutate) {
+    return this.db.transaction(() => {
+      const profiles = steamIds
+        ? steamIds.map(steamId => this.getRow(steamId)).filter(Boolean)
+        : this.statements.all.all().map(row => JSON.parse(row.data));
+
+      let changed = 0;
+      for (const profile of profiles) {
+        if (mutate(profile)) {
+          this.updateRow(profile);
+          changed++;
+        }
+      }
+      return changed;
+    }).immediate();
+  }
+
+  async remove(steamId) {
+    return this.db.transaction(() => {
+      const profile = this.getRow(steamId);
+      if (profile) {
+        this.statements.remove.run(steamId); // profile_checks rows go with it (ON DELETE CASCADE)
+      }
+      return profile;
+    }).immediate();
+  }
+
+  async replaceAll(profiles) {
+    this.db.transaction(() => {
+      this.statements.removeAll.run();
+      profiles.forEach(profile => this.insertRow(profile));
+    }).immediate();
+  }
+}
+
+module.exports = SqliteQueueStore;
@@ -0,0 +1,327 @@
+// steam-id-processor/src/queue-transfer.js
+// Queue export/import, used by GET /profiles/export, POST /profiles/import and the CLI:
+//   npm run queue-export -- [--format json|csv|ndjson] [--username <name>] [--output <file>]
+//   npm run queue-import -- <file> [--format json|csv|ndjson] [--mode skip_existing|merge|replace] [--check-backend]
+// The format defaults to the file extension (.csv, .ndjson/.jsonl, else JSON).
+// --check-backend also skips Steam IDs that already exist in the backend (as the processor's intake does).
+const fs = require('fs-extra');
+const path = require('path');
+const { formatCsv, parseCsv } = require('./utils/csv');
+const logger = require('./utils/logger');
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv'
+};
+const FORMATS = Object.keys(CONTENT_TYPES);
+// skip_existing: only add new Steam IDs; merge: also take the imported check states of queued ones;
+// replace: the import becomes the whole queue (stop a processor running in another process first -
+// only the one sharing this QueueManager is held, see QueueManager.replaceQueue)
+const IMPORT_MODES = ['skip_existing', 'merge', 'replace'];
+const CSV_FIELDS = ['steam_id', 'username', 'original_input', 'priority', 'timestamp', 'revalidation'];
+const CSV_CHECK_PREFIX = 'checks.';
+
+// JSON is an array shaped like profiles_queue.json (so a queue file can be imported as is), NDJSON
+// has one profile per line, CSV one row per profile with a checks.<name> column per check
+// (check details are only kept by JSON and NDJSON).
+class QueueTransfer {
+  constructor(queueManager) {
+    this.queueManager = queueManager;
+  }
+
+  static formatFromPath(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.csv') {
+      return 'csv';
+    }
+    return extension === '.ndjson' || extension === '.jsonl' ? 'ndjson' : 'json';
+  }
+
+  toRecord(profile) {
+    const record = {
+      steam_id: profile.steam_id,
+      username: profile.username,
+      original_input: profile.original_input || null,
+      priority: profile.priority || 0,
+      timestamp: profile.timestamp || null,
+      checks: profile.checks
+    };
+    if (profile.revalidation) {
+      record.revalidation = profile.revalidation;
+    }
+    if (profile.check_details) {
+      record.check_details = profile.check_details;
+    }
+    return record;
+  }
+
+  // Returns { content, count, contentType }
+  async exportQueue(format = 'json', filters = {}) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown format '${format}' (use ${FORMATS.join(', ')})`);
+    }
+
+    const profiles = (await this.queueManager.getQueuedProfiles())
+      .filter(profile => !filters.username || profile.username === filters.username);
+    const records = profiles.map(profile => this.toRecord(profile));
+
+    let content;
+    if (format === 'csv') {
+      const checkNames = [...new Set(records.flatMap(record => Object.keys(record.checks || {})))];
+      const rows = records.map(record => {
+        const row = { ...record, timestamp: record.timestamp ? new Date(record.timestamp).toISOString() : '' };
+        checkNames.forEach(name => { row[`${CSV_CHECK_PREFIX}${name}`] = record.checks[name]; });
+        return row;
+      });
+      content = formatCsv([...CSV_FIELDS, ...checkNames.map(name => `${CSV_CHECK_PREFIX}${name}`)], rows);
+    } else if (format === 'ndjson') {
+      content = records.map(record => `${JSON.stringify(record)}\n`).join('');
+    } else {
+      content = JSON.stringify(records, null, 2);
+    }
+
+    return { content, count: records.length, contentType: CONTENT_TYPES[format] };
+  }
+
+  // content: text, or for JSON an already parsed array. Throws on syntax errors
+  parseRecords(content, format) {
+    if (format === 'csv') {
+      return parseCsv(String(content)).map(row => {
+        const checks = {};
+        for (const [column, value] of Object.entries(row)) {
+          if (column.startsWith(CSV_CHECK_PREFIX) && value !== '') {
+            checks[column.slice(CSV_CHECK_PREFIX.length)] = value.trim();
+          }
+        }
+        return {
+          steam_id: row.steam_id,
+          username: row.username,
+          original_input: row.original_input || null,
+          priority: row.priority,
+          timestamp: row.timestamp,
+          revalidation: row.revalidation,
+          checks
+        };
+      });
+    }
+
+    if (format === 'ndjson') {
+      return String(content).split('\n').filter(line => line.trim()).map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Invalid NDJSON on line ${index + 1}: ${error.message}`);
+        }
+      });
+    }
+
+    const records = typeof content === 'string' ? JSON.parse(content) : content;
+    if (!Array.isArray(records)) {
+      throw new Error('Invalid JSON import: expected an array of profiles');
+    }
+    return records;
+  }
+
+  // Imported "deferred" checks become "to_check": deferred checks are only retried from the
+  // processor's in-memory list (SteamValidator.deferredChecks), which an import cannot reach
+  importedChecks(checks) {
+    const imported = {};
+    for (const [checkName, status] of Object.entries(checks || {})) {
+      imported[checkName] = status === 'deferred' ? 'to_check' : status;
+    }
+    return imported;
+  }
+
+  // Accepts epoch milliseconds (number or numeric string) or an ISO date; null if empty
+  parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const time = /^\d+$/.test(String(value)) ? Number(value) : new Date(value).getTime();
+    return Number.isFinite(time) ? time : NaN;
+  }
+
+  // Same validation as addProfileToQueue (Steam ID normalization, username, check statuses and,
+  // with apiService, the backend existence check). Returns a summary with one error per rejected record
+  async importQueue(content, format = 'json', options = {}) {
+    const mode = options.mode || 'skip_existing';
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown format '${format}' (use ${FORMATS.join(', ')})`);
+    }
+    if (!IMPORT_MODES.includes(mode)) {
+      throw new Error(`Unknown import mode '${mode}' (use ${IMPORT_MODES.join(', ')})`);
+    }
+
+    const records = this.parseRecords(content, format);
+    const summary = { format, mode, total: records.length, added: 0, updated: 0, skipped: 0, rejected: 0, removed: 0, errors: [] };
+    const reject = (index, record, error) => {
+      summary.rejected++;
+      summary.errors.push({ index, steam_id: record && record.steam_id, error });
+    };
+
+    // Normalize and dedupe first (the first occurrence of a Steam ID wins)
+    const entries = [];
+    const seen = new Set();
+    for (const [index, record] of records.entries()) {
+      if (!record || typeof record !== 'object') {
+        reject(index, record, 'Record must be an object');
+        continue;
+      }
+
+      const normalized = await this.queueManager.normalizeSteamIdInput(record.steam_id);
+      if (!normalized.success) {
+        reject(index, record, normalized.error);
+        continue;
+      }
+      if (seen.has(normalized.steamId)) {
+        summary.skipped++;
+        continue;
+      }
+
+      const timestamp = this.parseTimestamp(record.timestamp);
+      const priority = record.priority === undefined || record.priority === null || record.priority === '' ? 0 : Number(record.priority);
+      if (Number.isNaN(timestamp)) {
+        reject(index, record, `Invalid timestamp: ${record.timestamp}`);
+        continue;
+      }
+      if (!Number.isFinite(priority)) {
+        reject(index, record, 'Invalid priority: must be a number');
+        continue;
+      }
+      if (record.checks !== undefined && (typeof record.checks !== 'object' || Array.isArray(record.checks) || record.checks === null)) {
+        reject(index, record, 'Invalid checks: must be an object of check name -> status');
+        continue;
+      }
+
+      seen.add(normalized.steamId);
+      entries.push({
+        index,
+        record,
+        steamId: normalized.steamId,
+        input: record.original_input || String(record.steam_id).trim(),
+        options: {
+          priority,
+          timestamp,
+          revalidation: Number(record.revalidation) || 0,
+          checks: this.importedChecks(record.checks),
+          checkDetails: record.check_details || null
+        }
+      });
+    }
+
+    if (mode === 'replace') {
+      const profiles = [];
+      for (const entry of entries) {
+        const { profile, error } = await this.queueManager.buildQueueProfile(entry.steamId, entry.record.username, options.apiService || null, entry.input, entry.options);
+        if (profile) {
+          profiles.push(profile);
+        } else {
+          reject(entry.index, entry.record, error);
+        }
+      }
+
+      if (profiles.length === 0) {
+        throw new Error('No valid profiles to import - the queue was left unchanged');
+      }
+
+      summary.removed = (await this.queueManager.getQueuedProfiles()).length;
+      if (!await this.queueManager.replaceQueue(profiles)) {
+        throw new Error('Could not replace the queue');
+      }
+      summary.added = profiles.length;
+    } else {
+      for (const entry of entries) {
+        try {
+          if (await this.queueManager.getProfileBySteamId(entry.steamId)) {
+            if (mode === 'merge' && await this.queueManager.mergeProfileChecks(entry.steamId, entry.options.checks, entry.options.checkDetails)) {
+              summary.updated++;
+            } else {
+              summary.skipped++;
+            }
+            continue;
+          }
+
+          const { profile, error } = await this.queueManager.buildQueueProfile(entry.steamId, entry.record.username, options.apiService || null, entry.input, entry.options);
+          if (!profile) {
+            reject(entry.index, entry.record, error);
+            continue;
+          }
+
+          const inserted = await this.queueManager.enqueueProfile(profile);
+          if (inserted.created) {
+            summary.added++;
+          } else {
+            summary.skipped++; // Queued meanwhile
+          }
+        } catch (error) {
+          reject(entry.index, entry.record, error.message);
+        }
+      }
+    }
+
+    logger.info(`📥 Queue import (${format}, ${mode}): ${summary.added} added, ${summary.updated} updated, ${summary.skipped} skipped, ${summary.rejected} rejected${mode === 'replace' ? `, ${summary.removed} replaced` : ''}`);
+    return summary;
+  }
+}
+
+QueueTransfer.FORMATS = FORMATS;
+QueueTransfer.IMPORT_MODES = IMPORT_MODES;
+
+// --name value / --flag arguments plus positional ones
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const next = argv[i + 1];
+      args[argv[i].slice(2)] = next !== undefined && !next.startsWith('--') ? argv[++i] : true;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+async function runCli(argv) {
+  const CONFIG = require('../config/config');
+  const QueueManager = require('./queue-manager');
+  const [command, ...rest] = argv;
+  const args = parseArgs(rest);
+  const queueManager = new QueueManager(CONFIG);
+  await queueManager.storeReady;
+  const transfer = new QueueTransfer(queueManager);
+
+  if (command === 'export') {
+    const format = args.format || (typeof args.output === 'string' ? QueueTransfer.formatFromPath(args.output) : 'json');
+    const output = typeof args.output === 'string' ? args.output : `queue-export-${Date.now()}.${format}`;
+    const { content, count } = await transfer.exportQueue(format, { username: args.username });
+    await fs.writeFile(output, content, 'utf8');
+    logger.info(`📤 Exported ${count} profiles to ${output}`);
+    return;
+  }
+
+  if (command === 'import') {
+    const file = args._[0];
+    if (!file) {
+      throw new Error('Missing file to import');
+    }
+    const format = args.format || QueueTransfer.formatFromPath(file);
+    const apiService = args['check-backend'] ? new (require('./api-service'))(CONFIG) : null;
+    const summary = await transfer.importQueue(await fs.readFile(file, 'utf8'), format, { mode: args.mode, apiService });
+    summary.errors.forEach(error => logger.warn(`Record ${error.index} (${error.steam_id}) rejected: ${error.error}`));
+    return;
+  }
+
+  throw new Error(`Unknown command '${command}' (use export or import)`);
+}
+
+if (require.main === module) {
+  runCli(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(error => {
+      logger.error(`Queue transfer failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = QueueTransfer;
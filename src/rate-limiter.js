@@ -0,0 +1,83 @@
+// steam-id-processor/src/rate-limiter.js
+const logger = require('./utils/logger');
+
+const DEFAULT_LIMIT = { rate: 1, burst: 1 }; // One request per second, no burst
+
+// Token bucket per (connection, endpoint). A bucket holds up to `burst` tokens and refills at
+// `rate` tokens per second; each request takes one token and waits if the bucket is empty.
+// Waiting requests reserve their token up front (the balance goes negative), so concurrent
+// workers on the same bucket queue up behind each other instead of firing together.
+class RateLimiter {
+  constructor(limits = {}) {
+    this.limits = limits; // key: endpoint, value: { rate, burst }
+    this.buckets = new Map(); // key: "connectionIndex:endpoint", value: { tokens, updatedAt, rate, burst }
+    this.stats = { acquired: 0, waited: 0, totalWaitMs: 0 };
+  }
+
+  getLimit(endpoint) {
+    if (this.limits[endpoint]) {
+      return this.limits[endpoint];
+    }
+    // Extra inventory apps (inventory_<app>_<context>) hit the same steamcommunity limits as CS2
+    if (endpoint.startsWith('inventory_') && this.limits.inventory) {
+      return this.limits.inventory;
+    }
+    return this.limits.default || DEFAULT_LIMIT;
+  }
+
+  getBucket(connectionIndex, endpoint) {
+    const key = `${connectionIndex}:${endpoint}`;
+    let bucket = this.buckets.get(key);
+
+    if (!bucket) {
+      const { rate, burst } = this.getLimit(endpoint);
+      bucket = { tokens: burst, updatedAt: Date.now(), rate, burst };
+      this.buckets.set(key, bucket);
+    }
+
+    return bucket;
+  }
+
+  refill(bucket) {
+    const now = Date.now();
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.rate);
+    bucket.updatedAt = now;
+  }
+
+  // How long a request would wait right now (ms), without taking a token
+  getWaitTime(connectionIndex, endpoint) {
+    const bucket = this.getBucket(connectionIndex, endpoint);
+    this.refill(bucket);
+    return bucket.tokens >= 1 ? 0 : Math.ceil(((1 - bucket.tokens) / bucket.rate) * 1000);
+  }
+
+  // Take a token, returning how long the caller has to wait for it (ms)
+  reserve(connectionIndex, endpoint) {
+    const bucket = this.getBucket(connectionIndex, endpoint);
+    this.refill(bucket);
+    bucket.tokens -= 1;
+    return bucket.tokens >= 0 ? 0 : Math.ceil((-bucket.tokens / bucket.rate) * 1000);
+  }
+
+  async acquire(connectionIndex, endpoint) {
+    const waitTime = this.reserve(connectionIndex, endpoint);
+    this.stats.acquired++;
+
+    if (waitTime > 0) {
+      this.stats.waited++;
+      this.stats.totalWaitMs += waitTime;
+      logger.debug(`Rate limiting: Waiting ${waitTime}ms for ${endpoint} on connection ${connectionIndex}`);
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      averageWaitMs: this.stats.waited > 0 ? Math.round(this.stats.totalWaitMs / this.stats.waited) : 0,
+      limits: this.limits
+    };
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,220 @@
+// steam-id-processor/src/results-archive.js
+const fs = require('fs-extra');
+const readline = require('readline');
+const QueueFileManager = require('./utils/queue-file-manager');
+const logger = require('./utils/logger');
+
+const OUTCOMES = ['accepted', 'rejected', 'dead_lettered'];
+
+// Final outcome of every profile that left the queue, one JSON object per line (appending is cheap,
+// the file only gets rewritten when prune() drops old entries). The processor and the API server
+// (dead-letter replays) both append, so appends and prunes take the archive's lock file - otherwise
+// a line appended while prune() rewrites the file would be lost. Reads are streamed line by line and
+// need no lock (prune() replaces the file with a rename).
+class ResultsArchive {
+  constructor(config) {
+    this.filePath = config.RESULTS_ARCHIVE_PATH;
+    this.retentionDays = config.RESULTS_ARCHIVE_RETENTION_DAYS || 0; // 0 = keep forever
+    this.maxEntries = config.RESULTS_ARCHIVE_MAX_ENTRIES || 0; // 0 = no limit
+    this.fileManager = new QueueFileManager(this.filePath);
+  }
+
+  // Run a write under the archive lock (also serializes the writes of this process)
+  async withArchiveLock(operation, operationName) {
+    await fs.ensureFile(this.filePath);
+    // readOnly: the lock manager would otherwise seed a missing file with "[]" and validate JSON results
+    return this.fileManager.withFileLock(operation, { readOnly: true, operationName });
+  }
+
+  async cleanup() {
+    await this.fileManager.cleanup();
+  }
+
+  // profile: queue item in its final state, completion: { outcome, failedCheck, error }
+  buildEntry(profile, completion) {
+    const checks = {};
+    for (const [checkName, status] of Object.entries(profile.checks || {})) {
+      const detail = profile.check_details?.[checkName] || {};
+      checks[checkName] = {
+        status,
+        facts: detail.facts || null,
+        details: detail.details || null,
+        rule: detail.rule || null,
+        checked_at: detail.checked_at || null,
+        error: detail.error || null
+      };
+    }
+
+    return {
+      steam_id: profile.steam_id,
+      username: profile.username,
+      original_input: profile.original_input || null,
+      outcome: completion.outcome,
+      revalidation: profile.revalidation || 0, // Re-check number (0 = original submission)
+      failed_check: completion.failedCheck || null,
+      error: completion.error || null,
+      checks,
+      enqueued_at: profile.timestamp ? new Date(profile.timestamp).toISOString() : null,
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  // Never throws: a failed archive write must not keep a profile in the queue
+  async record(profile, completion) {
+    const entry = this.buildEntry(profile, completion);
+
+    try {
+      await this.withArchiveLock(() => fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, 'utf8'), `archive_${entry.steam_id}`);
+      logger.debug(`Archived ${entry.steam_id} (user: ${entry.username}) as ${entry.outcome}`);
+      return entry;
+    } catch (error) {
+      logger.error(`Error archiving result for ${entry.steam_id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Yields { line, entry } for every non-empty line, oldest first (entry is null if the line is unreadable)
+  async *readLines() {
+    if (!await fs.pathExists(this.filePath)) {
+      return;
+    }
+
+    const input = fs.createReadStream(this.filePath, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+        let entry = null;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          logger.debug(`Skipping unreadable results archive line: ${line.slice(0, 80)}`);
+        }
+        yield { line, entry };
+      }
+    } finally {
+      lines.close();
+      input.destroy();
+    }
+  }
+
+  // Yields the archived entries, oldest first, without loading the whole file
+  async *readEntries() {
+    for await (const { entry } of this.readLines()) {
+      if (entry) {
+        yield entry;
+      }
+    }
+  }
+
+  // filters: { steamId, username, outcome, failedCheck, from, to (ISO dates on completed_at), limit, offset }
+  // Returns { total, entries } with the newest entries first. Only the newest offset + limit matches
+  // are kept in memory while the file is read
+  async query(filters = {}) {
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+    const limit = filters.limit || 100;
+    const offset = filters.offset || 0;
+
+    const newest = [];
+    let total = 0;
+    for await (const entry of this.readEntries()) {
+      const completedAt = new Date(entry.completed_at).getTime();
+      const matches = (!filters.steamId || entry.steam_id === filters.steamId) &&
+        (!filters.username || entry.username === filters.username) &&
+        (!filters.outcome || entry.outcome === filters.outcome) &&
+        (!filters.failedCheck || entry.failed_check === filters.failedCheck) &&
+        (from === null || completedAt >= from) &&
+        (to === null || completedAt <= to);
+      if (!matches) {
+        continue;
+      }
+
+      total++;
+      newest.push(entry);
+      if (newest.length > offset + limit) {
+        newest.shift();
+      }
+    }
+
+    return { total, entries: newest.reverse().slice(offset, offset + limit) };
+  }
+
+  // Drop entries older than RESULTS_ARCHIVE_RETENTION_DAYS and beyond RESULTS_ARCHIVE_MAX_ENTRIES (oldest first).
+  // Unreadable lines are moved to <file>.corrupt-<timestamp> instead of being dropped
+  async prune() {
+    if (!await fs.pathExists(this.filePath)) {
+      return 0;
+    }
+
+    return this.withArchiveLock(async () => {
+      const cutoff = this.retentionDays > 0 ? Date.now() - this.retentionDays * 24 * 60 * 60 * 1000 : null;
+      const isRecent = entry => cutoff === null || new Date(entry.completed_at).getTime() >= cutoff;
+
+      // First pass: count what the retention keeps, to know how many of the oldest exceed the limit
+      let total = 0;
+      let recent = 0;
+      let unreadable = 0;
+      for await (const { entry } of this.readLines()) {
+        if (!entry) {
+          unreadable++;
+        } else {
+          total++;
+          if (isRecent(entry)) {
+            recent++;
+          }
+        }
+      }
+
+      const overLimit = this.maxEntries > 0 ? Math.max(0, recent - this.maxEntries) : 0;
+      if (recent - overLimit === total && unreadable === 0) {
+        return 0;
+      }
+
+      // Second pass: stream the kept lines into a new file
+      const tempPath = `${this.filePath}.tmp.${Date.now()}.${process.pid}`;
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      const output = fs.createWriteStream(tempPath, { encoding: 'utf8' });
+      const corrupt = unreadable > 0 ? fs.createWriteStream(corruptPath, { encoding: 'utf8' }) : null;
+      const write = (stream, line) => new Promise((resolve, reject) => {
+        stream.write(`${line}\n`, error => (error ? reject(error) : resolve()));
+      });
+      const close = stream => new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        stream.end(resolve);
+      });
+
+      let skipped = 0;
+      let kept = 0;
+      try {
+        for await (const { line, entry } of this.readLines()) {
+          if (!entry) {
+            await write(corrupt, line);
+          } else if (isRecent(entry) && skipped++ >= overLimit) {
+            await write(output, line);
+            kept++;
+          }
+        }
+      } finally {
+        await close(output);
+        if (corrupt) {
+          await close(corrupt);
+        }
+      }
+      await fs.rename(tempPath, this.filePath);
+
+      const removed = total - kept;
+      logger.info(`🗄️ Results archive pruned: ${removed} entries removed, ${kept} kept`);
+      if (unreadable > 0) {
+        logger.warn(`🗄️ Moved ${unreadable} unreadable results archive lines to ${corruptPath}`);
+      }
+      return removed;
+    }, 'archivePrune');
+  }
+}
+
+ResultsArchive.OUTCOMES = OUTCOMES;
+
+module.exports = ResultsArchive;
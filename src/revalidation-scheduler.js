@@ -0,0 +1,109 @@
+// steam-id-processor/src/revalidation-scheduler.js
+const logger = require('./utils/logger');
+
+// Re-enqueues rejected profiles once the delay for the check that rejected them has passed
+// (an inventory can be emptied, a private profile made public). Works from the results archive:
+// only the latest archived outcome of a steam ID counts, so a profile that was accepted (or
+// re-submitted and rejected for another reason) in the meantime follows that newer result.
+// Re-checks run at REVALIDATION_PRIORITY, below fresh submissions (priority 0), and each profile
+// gets at most REVALIDATION_MAX_ATTEMPTS of them. Re-enqueued profiles carry `revalidation`, which
+// makes the processor skip the check result cache so the re-check really asks Steam again.
+class RevalidationScheduler {
+  constructor(config, queueManager) {
+    this.config = config;
+    this.queueManager = queueManager;
+    this.enabled = config.REVALIDATION_ENABLED === true;
+    this.delayDays = config.REVALIDATION_DELAY_DAYS || {}; // key: failed check, value: days (missing = never)
+    this.maxAttempts = config.REVALIDATION_MAX_ATTEMPTS || 1;
+    this.priority = config.REVALIDATION_PRIORITY;
+    this.batchSize = config.REVALIDATION_BATCH_SIZE || 100; // Profiles re-enqueued per run
+    this.stats = { runs: 0, enqueued: 0, lastRunAt: null };
+  }
+
+  // Latest archived outcome per steam ID, for the rejected ones that are due. Only the fields needed
+  // to re-enqueue are kept - the archive can hold hundreds of thousands of entries with check details
+  async findDueProfiles() {
+    const latest = new Map();
+    for await (const entry of this.queueManager.resultsArchive.readEntries()) {
+      // Entries are read oldest first, so the last one wins
+      latest.set(entry.steam_id, {
+        steam_id: entry.steam_id,
+        username: entry.username,
+        original_input: entry.original_input,
+        outcome: entry.outcome,
+        failed_check: entry.failed_check,
+        completed_at: entry.completed_at,
+        revalidation: entry.revalidation
+      });
+    }
+
+    const now = Date.now();
+    const due = [];
+    for (const entry of latest.values()) {
+      const days = this.delayDays[entry.failed_check];
+      if (entry.outcome !== 'rejected' || !(days > 0) || (entry.revalidation || 0) >= this.maxAttempts) {
+        continue;
+      }
+      if (new Date(entry.completed_at).getTime() + days * 24 * 60 * 60 * 1000 <= now) {
+        due.push(entry);
+      }
+    }
+
+    // Oldest rejections first
+    return due.sort((a, b) => new Date(a.completed_at) - new Date(b.completed_at));
+  }
+
+  async run() {
+    if (!this.enabled) {
+      return { enqueued: 0, due: 0 };
+    }
+
+    const due = await this.findDueProfiles();
+    const queued = new Set((await this.queueManager.getQueuedProfiles()).map(profile => profile.steam_id));
+    let enqueued = 0;
+
+    for (const entry of due) {
+      if (enqueued >= this.batchSize) {
+        break;
+      }
+      if (queued.has(entry.steam_id)) {
+        continue;
+      }
+
+      const revalidation = (entry.revalidation || 0) + 1;
+      const profile = await this.queueManager.addProfileToQueue(
+        entry.steam_id,
+        entry.username,
+        null,
+        entry.original_input,
+        { priority: this.priority, revalidation }
+      );
+
+      if (profile) {
+        enqueued++;
+        logger.info(`🔁 Re-validating ${entry.steam_id} (user: ${entry.username}), rejected by '${entry.failed_check}' on ${entry.completed_at} (re-check ${revalidation}/${this.maxAttempts})`);
+      }
+    }
+
+    this.stats.runs++;
+    this.stats.enqueued += enqueued;
+    this.stats.lastRunAt = new Date().toISOString();
+
+    if (due.length > 0) {
+      logger.info(`🔁 Re-validation: ${enqueued} profiles re-enqueued, ${due.length} due`);
+    }
+    return { enqueued, due: due.length };
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      delayDays: this.delayDays,
+      maxAttempts: this.maxAttempts,
+      priority: this.priority,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = RevalidationScheduler;
@@ -0,0 +1,293 @@
+// steam-id-processor/src/rule-engine.js
+const fs = require('fs-extra');
+const logger = require('./utils/logger');
+
+const OPERATORS = ['&&', '||', '==', '!=', '<=', '>=', '<', '>', '!', '(', ')'];
+
+// Split an expression into tokens: numbers, strings, identifiers (dotted paths) and operators
+function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '-' && /[0-9]/.test(expression[i + 1] || ''))) {
+      const match = expression.slice(i).match(/^-?\d+(\.\d+)?/);
+      tokens.push({ type: 'literal', value: parseFloat(match[0]) });
+      i += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const end = expression.indexOf(char, i + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated string at position ${i}`);
+      }
+      tokens.push({ type: 'literal', value: expression.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      const match = expression.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/);
+      const word = match[0];
+      if (word === 'true' || word === 'false') {
+        tokens.push({ type: 'literal', value: word === 'true' });
+      } else if (word === 'null') {
+        tokens.push({ type: 'literal', value: null });
+      } else {
+        tokens.push({ type: 'identifier', path: word.split('.') });
+      }
+      i += word.length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => expression.startsWith(op, i));
+    if (!operator) {
+      throw new Error(`Unexpected character '${char}' at position ${i}`);
+    }
+    tokens.push({ type: 'operator', value: operator });
+    i += operator.length;
+  }
+
+  return tokens;
+}
+
+// Recursive-descent parser producing a small AST:
+//   or  := and ('||' and)*
+//   and := not ('&&' not)*
+//   not := '!' not | cmp
+//   cmp := primary (('=='|'!='|'<'|'<='|'>'|'>=') primary)?
+function parse(expression) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isOperator('||')) {
+      position++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isOperator('&&')) {
+      position++;
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    if (isOperator('!')) {
+      position++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    const left = parsePrimary();
+    const token = peek();
+    if (token && token.type === 'operator' && ['==', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+      position++;
+      return { type: 'compare', operator: token.value, left, right: parsePrimary() };
+    }
+    return left;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (isOperator('(')) {
+      position++;
+      const node = parseOr();
+      if (!isOperator(')')) {
+        throw new Error('Missing closing parenthesis');
+      }
+      position++;
+      return node;
+    }
+
+    if (token.type === 'literal' || token.type === 'identifier') {
+      position++;
+      return token;
+    }
+
+    throw new Error(`Unexpected operator '${token.value}'`);
+  };
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected token after end of expression: '${tokens[position].value || tokens[position].path.join('.')}'`);
+  }
+  return ast;
+}
+
+function resolvePath(facts, pathParts) {
+  let value = facts;
+  for (const part of pathParts) {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    value = value[part];
+  }
+  return value;
+}
+
+function evaluate(node, facts) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'identifier':
+      return resolvePath(facts, node.path);
+    case 'not':
+      return !evaluate(node.operand, facts);
+    case 'and':
+      return Boolean(evaluate(node.left, facts)) && Boolean(evaluate(node.right, facts));
+    case 'or':
+      return Boolean(evaluate(node.left, facts)) || Boolean(evaluate(node.right, facts));
+    case 'compare': {
+      const left = evaluate(node.left, facts);
+      const right = evaluate(node.right, facts);
+      switch (node.operator) {
+        case '==': return left === right;
+        case '!=': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+      }
+    }
+  }
+  throw new Error(`Unknown expression node: ${node.type}`);
+}
+
+class RuleEngine {
+  // defaultRules: built-in rule per check (declared by the check modules), used when the rules file
+  // is missing or has no (valid) rule for a check
+  constructor(rulesPath, defaultRules = {}) {
+    this.rulesPath = rulesPath;
+    this.defaultRules = defaultRules;
+    this.rules = {};
+    this.compiled = new Map(); // key: expression, value: AST
+    this.lastModified = 0;
+    this.loadRules();
+  }
+
+  // Load (or reload) the rules file. Invalid expressions are logged and skipped
+  // so that one bad rule doesn't take down the other checks.
+  loadRules() {
+    try {
+      if (!this.rulesPath || !fs.existsSync(this.rulesPath)) {
+        logger.warn(`Filter rules file not found (${this.rulesPath}), using built-in rules`);
+        this.rules = {};
+        this.lastModified = 0;
+        return false;
+      }
+
+      const stats = fs.statSync(this.rulesPath);
+      const data = JSON.parse(fs.readFileSync(this.rulesPath, 'utf8'));
+      const rules = {};
+
+      for (const [checkName, expression] of Object.entries(data.rules || {})) {
+        try {
+          this.compile(expression);
+          rules[checkName] = expression;
+        } catch (error) {
+          logger.error(`Invalid filter rule for '${checkName}' (${expression}): ${error.message} - using built-in rule`);
+        }
+      }
+
+      this.rules = rules;
+      this.lastModified = stats.mtimeMs;
+      logger.info(`Filter rules loaded from ${this.rulesPath} (${Object.keys(rules).length} rules)`);
+      return true;
+    } catch (error) {
+      logger.error(`Error loading filter rules from ${this.rulesPath}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Reload the rules file if it changed on disk since the last load
+  reloadIfChanged() {
+    try {
+      if (!this.rulesPath || !fs.existsSync(this.rulesPath)) {
+        return false;
+      }
+
+      const { mtimeMs } = fs.statSync(this.rulesPath);
+      if (mtimeMs !== this.lastModified) {
+        logger.info(`Filter rules file changed, reloading`);
+        return this.loadRules();
+      }
+    } catch (error) {
+      logger.error(`Error checking filter rules file: ${error.message}`);
+    }
+    return false;
+  }
+
+  compile(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+      throw new Error('Rule must be a non-empty string');
+    }
+
+    if (!this.compiled.has(expression)) {
+      this.compiled.set(expression, parse(expression));
+    }
+    return this.compiled.get(expression);
+  }
+
+  getRule(checkName) {
+    return this.rules[checkName] || this.defaultRules[checkName] || null;
+  }
+
+  // Evaluate the rule for a check against the facts it collected.
+  // Returns { passed, rule } - checks without any rule pass. A rule that cannot be evaluated falls
+  // back to the built-in rule; if that fails too the check fails closed ({ passed: false, rule, error }).
+  evaluate(checkName, facts) {
+    this.reloadIfChanged();
+
+    const rule = this.getRule(checkName);
+    if (!rule) {
+      logger.debug(`No filter rule defined for '${checkName}', passing`);
+      return { passed: true, rule: null };
+    }
+
+    try {
+      const passed = Boolean(evaluate(this.compile(rule), facts));
+      logger.debug(`Rule '${rule}' for ${checkName} evaluated to ${passed} with facts ${JSON.stringify(facts)}`);
+      return { passed, rule };
+    } catch (error) {
+      const fallback = this.defaultRules[checkName];
+      if (!fallback || fallback === rule) {
+        logger.error(`Error evaluating rule for '${checkName}' (${rule}): ${error.message} - no built-in rule to fall back to, failing the check`);
+        return { passed: false, rule, error: error.message };
+      }
+
+      logger.error(`Error evaluating rule for '${checkName}' (${rule}): ${error.message} - using built-in rule`);
+      try {
+        return { passed: Boolean(evaluate(this.compile(fallback), facts)), rule: fallback };
+      } catch (fallbackError) {
+        logger.error(`Error evaluating built-in rule for '${checkName}' (${fallback}): ${fallbackError.message} - failing the check`);
+        return { passed: false, rule: fallback, error: fallbackError.message };
+      }
+    }
+  }
+}
+
+module.exports = RuleEngine;
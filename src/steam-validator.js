@@ -1,10 +1,17 @@
 // steam-id-processor/src/steam-validator.js
 const axios = require('axios');
-const fs = require('fs-extra');
 const path = require('path');
 const logger = require('./utils/logger');
 const ProxyManager = require('./proxy-manager');
+const RuleEngine = require('./rule-engine');
+const CheckResultCache = require('./check-result-cache');
+const CheckRegistry = require('./check-registry');
+const RateLimiter = require('./rate-limiter');
 const { SocksProxyAgent } = require('socks-proxy-agent');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-check context used by trackConnection to record the connection a request went through
+const connectionTracker = new AsyncLocalStorage();
 
 // Load environment variables
 require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
@@ -13,8 +20,6 @@ class SteamValidator {
   constructor(config) {
     this.config = config;
     this.apiKey = null;
-    this.lastApiCallTime = 0;
-    this.minApiCallInterval = 1000; // 1 second between calls
     this.loadApiKey();
     
     // DEBUG: Verificar que config tiene la secuencia de backoff
@@ -27,6 +32,12 @@ class SteamValidator {
       logger.error(`🔍 [DEBUG] Full config: ${JSON.stringify(config, null, 2)}`);
     }
     
+    // Check modules (src/checks) - drive endpoints, default checks and default rules
+    this.checkRegistry = new CheckRegistry(config);
+    
+    // Token bucket per connection and endpoint; requests wait on their own bucket
+    this.rateLimiter = new RateLimiter(config.RATE_LIMITS);
+    
     // Initialize the proxy manager with cooldown durations AND backoff sequence
     const configDir = path.dirname(path.join(__dirname, '../config'));
     logger.info(`🔍 [DEBUG] Initializing ProxyManager with:`);
@@ -37,38 +48,34 @@ class SteamValidator {
     this.proxyManager = new ProxyManager(
       configDir, 
       config.COOLDOWN_DURATIONS,
-      config.BACKOFF_SEQUENCE_MINUTES  // Este debe llegar al ProxyManager
+      config.BACKOFF_SEQUENCE_MINUTES,  // Este debe llegar al ProxyManager
+      this.checkRegistry,
+      this.rateLimiter
     );
     
     logger.info(`🔍 [DEBUG] ProxyManager initialized`);
     
+    // Filter rules (thresholds) are loaded from a file and reloaded when it changes
+    this.ruleEngine = new RuleEngine(config.FILTER_RULES_PATH, this.checkRegistry.getDefaultRules());
+    
+    // Completed check results, reused when a steam ID is re-submitted
+    this.resultCache = new CheckResultCache(config.CHECK_CACHE_PATH, this.checkRegistry.getCacheTtlHours());
+    
     // Add a property to track deferred checks
     this.deferredChecks = new Map();
-  
-    // NEW: Initialize deferred checks from queue file on startup
-    this.initializeDeferredChecksFromQueue();
+    // Earliest retry time of deferred checks that failed with an error (key: "steamId:checkType")
+    this.retryTimes = new Map();
   }
 
-  async initializeDeferredChecksFromQueue() {
+  // Load deferred checks of the queue into memory on startup (called by the processor once the
+  // QueueManager exists, so it works with any queue backend)
+  async initializeDeferredChecksFromQueue(queueManager) {
     try {
-      logger.info(`🔍 [DEBUG] Initializing deferred checks from queue file...`);
+      logger.info(`🔍 [DEBUG] Initializing deferred checks from queue...`);
       
-      // We need access to the queue manager, but it's not available in constructor
-      // So we'll delay this initialization
       setTimeout(async () => {
         try {
-          // Read queue file directly
-          const queuePath = path.join(__dirname, '../profiles_queue.json');
-          if (!fs.existsSync(queuePath)) {
-            logger.debug(`🔍 [DEBUG] Queue file doesn't exist yet: ${queuePath}`);
-            return;
-          }
-          
-          const queueData = JSON.parse(fs.readFileSync(queuePath, 'utf8'));
-          if (!Array.isArray(queueData)) {
-            logger.warn(`🔍 [DEBUG] Invalid queue data format`);
-            return;
-          }
+          const queueData = await queueManager.getQueuedProfiles();
           
           let totalDeferredFound = 0;
           let profilesWithDeferred = 0;
@@ -83,8 +90,14 @@ class SteamValidator {
               profilesWithDeferred++;
               totalDeferredFound += deferredChecks.length;
               
-              // Add to in-memory deferred checks Map
+              // Add to in-memory deferred checks Map (errors keep their retry spacing)
               this.deferredChecks.set(steamId, new Set(deferredChecks));
+              for (const checkName of deferredChecks) {
+                const nextAttemptAt = profile.check_details?.[checkName]?.next_attempt_at;
+                if (nextAttemptAt) {
+                  this.retryTimes.set(`${steamId}:${checkName}`, new Date(nextAttemptAt).getTime());
+                }
+              }
               logger.debug(`🔍 [DEBUG] Loaded ${deferredChecks.length} deferred checks for ${steamId}: ${deferredChecks.join(', ')}`);
             }
           }
@@ -113,29 +126,17 @@ class SteamValidator {
     }
   }
 
-  async respectRateLimit() {
-    const currentTime = Date.now();
-    const timeSinceLast = currentTime - this.lastApiCallTime;
-    
-    if (timeSinceLast < this.minApiCallInterval) {
-      const waitTime = this.minApiCallInterval - timeSinceLast;
-      logger.debug(`Rate limiting: Waiting ${waitTime}ms before next API call`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-    
-    this.lastApiCallTime = Date.now();
-  }
-
   async makeApiRequest(url) {
-    await this.respectRateLimit();
-    
     const endpointName = this.proxyManager.getEndpointName(url);
     logger.debug(`🔍 [DEBUG] Starting makeApiRequest for ${endpointName} endpoint: ${url}`);
     
+    let axiosInstance = null;
+    let connectionIndex;
+    
     try {
       // Get axios instance for this endpoint
       logger.debug(`🔍 [DEBUG] Getting axios instance for ${endpointName}`);
-      const axiosInstance = this.proxyManager.createAxiosInstance(url);
+      axiosInstance = this.proxyManager.createAxiosInstance(url);
       
       // Check if all connections are in cooldown for this endpoint
       if (axiosInstance && axiosInstance.allInCooldown) {
@@ -157,7 +158,23 @@ class SteamValidator {
         };
       }
       
-      const connectionIndex = axiosInstance.defaults._connectionInfo?.index;
+      connectionIndex = axiosInstance.defaults._connectionInfo?.index;
+      if (connectionIndex !== undefined) {
+        this.proxyManager.beginRequest(connectionIndex, endpointName);
+        await this.rateLimiter.acquire(connectionIndex, endpointName);
+        
+        // Another worker may have put this connection in cooldown while we waited
+        if (!this.proxyManager.isConnectionAvailableForEndpoint(connectionIndex, endpointName)) {
+          return this.retryWithNextConnection(url, endpointName);
+        }
+      }
+      
+      // Remember the connection for the check that issued this request (see trackConnection)
+      const trackedCheck = connectionTracker.getStore();
+      if (trackedCheck && axiosInstance.defaults._connectionInfo) {
+        const { index, type } = axiosInstance.defaults._connectionInfo;
+        trackedCheck.connection = { index, type, endpoint: endpointName };
+      }
       logger.debug(`🔍 [DEBUG] Using connection index: ${connectionIndex} for ${endpointName}`);
       logger.debug(`🔍 [DEBUG] Connection info: ${JSON.stringify(axiosInstance.defaults._connectionInfo)}`);
       
@@ -181,31 +198,26 @@ class SteamValidator {
     } catch (error) {
       const errorStatus = error.response ? error.response.status : 'no status';
       const errorMessage = error.message || 'Unknown error';
+      // Statuses that mean "private" for this endpoint (inventory 403, friends 401) are answers, not failures
+      const isPrivateStatus = this.checkRegistry.getEndpointOptions(endpointName).privateStatuses.includes(errorStatus);
       
-    if (!(errorStatus === 403 && endpointName === 'inventory')) {
+    if (!isPrivateStatus) {
       logger.error(`🔍 [DEBUG] HTTP request failed for ${endpointName}`);
     }
     logger.error(`🔍 [DEBUG] Error status: ${errorStatus}`);
     logger.error(`🔍 [DEBUG] Error message: ${errorMessage}`);
-    if (!(errorStatus === 403 && endpointName === 'inventory')) {
+    if (!isPrivateStatus) {
       logger.error(`🔍 [DEBUG] Error stack: ${error.stack}`);
     }
       
-      // Special handling for inventory 403 errors (private inventories are desirable)
-      if (endpointName === 'inventory' && error.response && error.response.status === 403) {
-        logger.info(`✅ Private inventory detected for ${endpointName} endpoint (403) - this is good!`);
-        return { success: false, error: errorMessage, errorObj: error, isPrivateInventory: true };
-      }
-      
-      // Special handling for friends 401 errors (private profiles)
-      if (endpointName === 'friends' && error.response && error.response.status === 401) {
-        logger.info(`✅ Private profile detected for ${endpointName} endpoint (401) - this is expected`);
-        return { success: false, error: errorMessage, errorObj: error, isPrivateProfile: true };
+      if (isPrivateStatus) {
+        logger.info(`✅ Private ${endpointName} response (${errorStatus}) - this is expected`);
+        return { success: false, error: errorMessage, errorObj: error, isPrivate: true };
       }
       
       logger.debug(`🔍 [DEBUG] Getting axios instance for error handling`);
-      // Get the axios instance again to ensure we have a valid one for error handling
-      const axiosInstanceForError = this.proxyManager.createAxiosInstance(url);
+      // Use the instance that made the request - a new one may point at another connection
+      const axiosInstanceForError = axiosInstance;
       
       logger.debug(`🔍 [DEBUG] axiosInstanceForError type: ${typeof axiosInstanceForError}`);
       if (axiosInstanceForError) {
@@ -250,6 +262,10 @@ class SteamValidator {
       // Handle other errors (these are the actual problems)
       logger.error(`❌ Request error (${errorStatus}) on ${endpointName}: ${errorMessage}`);
       return { success: false, error: errorMessage, errorObj: error };
+    } finally {
+      if (connectionIndex !== undefined) {
+        this.proxyManager.endRequest(connectionIndex, endpointName);
+      }
     }
   }
 
@@ -272,57 +288,38 @@ class SteamValidator {
     };
   }
 
-  async checkAnimatedAvatar(steamId) {
+  // Run a registered check for one profile. Same result contract for every check:
+  // { success, passed, details, facts, deferred?, nextAvailableIn?, error? }
+  async runCheck(checkName, steamId) {
+    const check = this.checkRegistry.get(checkName);
+    if (!check) {
+      logger.error(`Unknown check type: ${checkName}`);
+      return { success: false, passed: false, error: `Unknown check type: ${checkName}` };
+    }
+    
+    // Batch-capable checks go through the batch request with a single ID
+    if (!check.interpret && check.batch) {
+      return this.runSingleFromBatch(check, steamId);
+    }
+    
+    const context = this.createCheckContext(check, { steamId });
+    
     try {
-      const url = `https://api.steampowered.com/IPlayerService/GetAnimatedAvatar/v1/?steamid=${steamId}`;
-      const result = await this.makeApiRequest(url);
-      
-      // Check if all connections are in cooldown
-      if (result.allInCooldown) {
-        logger.warn(`Animated avatar check for ${steamId} deferred - all connections in cooldown`);
-        this.addToDeferredChecks(steamId, 'animated_avatar');
+      if (check.requiresApiKey && !this.apiKey) {
         return { 
           success: false, 
-          deferred: true,
-          error: "All connections in cooldown", 
-          nextAvailableIn: result.nextAvailableIn 
-        };
-      }
-      
-      if (!result.success) {
-        logger.error(`Animated avatar check failed for ${steamId}: ${result.error}`);
-        return { success: false, error: result.error };
-      }
-      
-      const data = result.data;
-      
-      if (data.response && 'avatar' in data.response) {
-        // Check if avatar is empty object or empty array
-        const hasAnimatedAvatar = data.response.avatar && 
-                                Object.keys(data.response.avatar).length > 0;
-        return {
-          success: true,
-          passed: !hasAnimatedAvatar,
-          details: hasAnimatedAvatar ? data.response : {}
+          error: "Steam API key not available (check STEAM_API_KEY environment variable)" 
         };
       }
       
-      return { success: false, error: "Unexpected API response" };
-    } catch (error) {
-      logger.error(`Animated avatar check failed for ${steamId}: ${error.message}`);
-      return { success: false, error: error.message };
-    }
-  }
-
-  async checkAvatarFrame(steamId) {
-    try {
-      const url = `https://api.steampowered.com/IPlayerService/GetAvatarFrame/v1/?steamid=${steamId}`;
-      const result = await this.makeApiRequest(url);
+      const result = check.fetch
+        ? await check.fetch(steamId, context)
+        : await this.makeApiRequest(check.buildUrl(steamId, context));
       
       // Check if all connections are in cooldown
       if (result.allInCooldown) {
-        logger.warn(`Avatar frame check for ${steamId} deferred - all connections in cooldown`);
-        this.addToDeferredChecks(steamId, 'avatar_frame');
+        logger.warn(`${check.label} check for ${steamId} deferred - all connections in cooldown`);
+        this.addToDeferredChecks(steamId, checkName);
         return { 
           success: false, 
           deferred: true,
@@ -332,130 +329,114 @@ class SteamValidator {
       }
       
       if (!result.success) {
-        logger.error(`Avatar frame check failed for ${steamId}: ${result.error}`);
+        const status = result.errorObj && result.errorObj.response ? result.errorObj.response.status : null;
+        const answer = check.interpretError ? check.interpretError(status, result, context) : null;
+        if (answer) {
+          return this.evaluateCheck(check, answer, context);
+        }
+        
+        logger.error(`${check.label} check failed for ${steamId}: ${result.error}`);
         return { success: false, error: result.error };
       }
       
-      const data = result.data;
-      
-      if (data.response && 'avatar_frame' in data.response) {
-        // Check if avatar_frame is empty object
-        const hasFrame = data.response.avatar_frame && 
-                        Object.keys(data.response.avatar_frame).length > 0;
-        return {
-          success: true,
-          passed: !hasFrame,
-          details: hasFrame ? data.response : {}
-        };
+      const interpreted = check.interpret(result.data, context);
+      if (!interpreted) {
+        logger.error(`Unexpected API response format for ${check.label} check: ${JSON.stringify(result.data)}`);
+        return { success: false, error: "Unexpected API response" };
       }
       
-      return { success: false, error: "Unexpected API response" };
+      return this.evaluateCheck(check, interpreted, context);
     } catch (error) {
-      logger.error(`Avatar frame check failed for ${steamId}: ${error.message}`);
-      return { success: false, error: error.message };
-    }
-  }
-
-  async checkMiniProfileBackground(steamId) {
-    try {
-      const url = `https://api.steampowered.com/IPlayerService/GetMiniProfileBackground/v1/?steamid=${steamId}`;
-      const result = await this.makeApiRequest(url);
-      
-      // Check if all connections are in cooldown
-      if (result.allInCooldown) {
-        logger.warn(`Mini profile background check for ${steamId} deferred - all connections in cooldown`);
-        this.addToDeferredChecks(steamId, 'mini_profile_background');
-        return { 
-          success: false, 
-          deferred: true,
-          error: "All connections in cooldown", 
-          nextAvailableIn: result.nextAvailableIn 
-        };
+      const status = error.response ? error.response.status : null;
+      const answer = status && check.interpretError ? check.interpretError(status, { errorObj: error }, context) : null;
+      if (answer) {
+        return this.evaluateCheck(check, answer, context);
       }
       
-      if (!result.success) {
-        logger.error(`Mini profile background check failed for ${steamId}: ${result.error}`);
-        return { success: false, error: result.error };
-      }
-      
-      const data = result.data;
-      
-      if (data.response && 'profile_background' in data.response) {
-        // Check if profile_background is empty object
-        const hasBackground = data.response.profile_background && 
-                            Object.keys(data.response.profile_background).length > 0;
-        return {
-          success: true,
-          passed: !hasBackground,
-          details: hasBackground ? data.response : {}
-        };
-      }
-      
-      return { success: false, error: "Unexpected API response" };
-    } catch (error) {
-      logger.error(`Mini profile background check failed for ${steamId}: ${error.message}`);
+      logger.error(`${check.label} check failed for ${steamId}: ${error.message}`);
       return { success: false, error: error.message };
     }
   }
 
-  async checkProfileBackground(steamId) {
-    try {
-      const url = `https://api.steampowered.com/IPlayerService/GetProfileBackground/v1/?steamid=${steamId}`;
-      const result = await this.makeApiRequest(url);
-      
-      // Check if all connections are in cooldown
-      if (result.allInCooldown) {
-        logger.warn(`Profile background check for ${steamId} deferred - all connections in cooldown`);
-        this.addToDeferredChecks(steamId, 'profile_background');
-        return { 
-          success: false, 
-          deferred: true,
-          error: "All connections in cooldown", 
-          nextAvailableIn: result.nextAvailableIn 
-        };
+  // Run checks for one profile right away, outside the queue: nothing is queued, deferred or submitted.
+  // All checks run (a failed one doesn't stop the rest), in registry order so private-profile
+  // auto-passes work like in the processor. useCache: reuse cached facts (re-evaluated against the
+  // current rules) instead of requesting them again, and cache the fresh ones. Without it the
+  // persistent cache is left alone, so a manual check doesn't change what the queue later sees.
+  // Returns { steamId, outcome: 'passed'|'failed'|'incomplete', failedChecks, deferred, results }
+  async validateProfile(steamId, { checks = null, useCache = false } = {}) {
+    const checkNames = this.checkRegistry.getNames()
+      .filter(checkName => checks ? checks.includes(checkName) : this.checkRegistry.get(checkName).enabled);
+    const results = {};
+    const failedChecks = [];
+    const deferred = [];
+    let isPrivateProfile = false;
+    
+    for (const checkName of checkNames) {
+      if (isPrivateProfile && this.checkRegistry.autoPassesPrivateProfiles(checkName)) {
+        results[checkName] = { success: true, passed: true, autoPassed: true };
+        continue;
+      }
+      
+      let result = useCache ? this.getCachedCheckResult(steamId, checkName) : null;
+      if (!result) {
+        // runCheck queues cooldown-deferred checks for the processor - not wanted for a profile outside the queue
+        const alreadyDeferred = Boolean(this.deferredChecks.get(steamId)?.has(checkName));
+        result = await this.trackConnection(() => this.runCheck(checkName, steamId));
+        if (result.deferred && !alreadyDeferred) {
+          this.clearDeferredCheck(steamId, checkName);
+        }
+        if (useCache) {
+          this.cacheCheckResult(steamId, checkName, result);
+        }
       }
+      results[checkName] = result;
       
-      if (!result.success) {
-        logger.error(`Profile background check failed for ${steamId}: ${result.error}`);
-        return { success: false, error: result.error };
+      if (this.checkRegistry.detectsPrivateProfile(checkName, result)) {
+        isPrivateProfile = true;
       }
-      
-      const data = result.data;
-      
-      if (data.response && 'profile_background' in data.response) {
-        // Check if profile_background is empty object
-        const hasBackground = data.response.profile_background && 
-                            Object.keys(data.response.profile_background).length > 0;
-        return {
-          success: true,
-          passed: !hasBackground,
-          details: hasBackground ? data.response : {}
-        };
+      if (result.deferred) {
+        deferred.push({
+          check: checkName,
+          endpoint: this.checkRegistry.getEndpoint(checkName),
+          nextAvailableIn: result.nextAvailableIn || null
+        });
+      } else if (result.success && !result.passed) {
+        failedChecks.push(checkName);
       }
-      
-      return { success: false, error: "Unexpected API response" };
-    } catch (error) {
-      logger.error(`Profile background check failed for ${steamId}: ${error.message}`);
-      return { success: false, error: error.message };
     }
+    
+    const allAnswered = Object.values(results).every(result => result.success);
+    const outcome = failedChecks.length > 0 ? 'failed' : (allAnswered ? 'passed' : 'incomplete');
+    logger.info(`🔎 On-demand validation of ${steamId}: ${outcome} (${checkNames.length} checks, ${failedChecks.length} failed, ${deferred.length} deferred)`);
+    
+    return { steamId, outcome, failedChecks, deferred, results };
   }
 
-  async checkSteamLevel(steamId) {
+  // Run a batch-capable check for many profiles in one request (at most check.batch.maxSize IDs).
+  // Returns { success, results: { steamId: checkResult } } - IDs missing from the
+  // response are left out of results so the caller can retry them individually.
+  // Does not touch the deferred list; callers decide how to defer.
+  async runBatchCheck(checkName, steamIds) {
+    const check = this.checkRegistry.get(checkName);
+    if (!check || !check.batch) {
+      return { success: false, error: `Check '${checkName}' does not support batching` };
+    }
+    
+    const context = this.createCheckContext(check, { steamIds });
+    
     try {
-      if (!this.apiKey) {
+      if (check.requiresApiKey && !this.apiKey) {
         return { 
           success: false, 
           error: "Steam API key not available (check STEAM_API_KEY environment variable)" 
         };
       }
       
-      const url = `https://api.steampowered.com/IPlayerService/GetSteamLevel/v1/?key=${this.apiKey}&steamid=${steamId}`;
-      const result = await this.makeApiRequest(url);
+      const result = await this.makeApiRequest(check.batch.buildUrl(steamIds, context));
       
       // Check if all connections are in cooldown
       if (result.allInCooldown) {
-        logger.warn(`Steam level check for ${steamId} deferred - all connections in cooldown`);
-        this.addToDeferredChecks(steamId, 'steam_level');
         return { 
           success: false, 
           deferred: true,
@@ -465,47 +446,75 @@ class SteamValidator {
       }
       
       if (!result.success) {
-        logger.error(`Steam level check failed for ${steamId}: ${result.error}`);
+        logger.error(`${check.label} request failed for ${steamIds.length} profile(s): ${result.error}`);
         return { success: false, error: result.error };
       }
       
-      const data = result.data;
+      const interpreted = check.batch.interpret(result.data, context);
+      if (!interpreted) {
+        logger.error(`Unexpected API response format for ${check.label} check: ${JSON.stringify(result.data)}`);
+        return { success: false, error: "Unexpected API response" };
+      }
       
-      if (data.response) {
-        // If response is empty, this is a private profile
-        if (Object.keys(data.response).length === 0) {
-          logger.info(`Private profile detected for ${steamId} (empty GetSteamLevel response)`);
-          return {
-            success: true,
-            passed: true,
-            details: { note: "Empty response from API - private profile detected" },
-            level: 0,
-            isPrivateProfile: true
-          };
-        }
-        
-        // Regular case - response contains player_level
-        if ('player_level' in data.response) {
-          const playerLevel = data.response.player_level;
-          return {
-            success: true,
-            passed: playerLevel <= 13,
-            details: { player_level: playerLevel },
-            level: playerLevel,
-            isPrivateProfile: false
-          };
-        }
+      const results = {};
+      for (const [steamId, answer] of Object.entries(interpreted)) {
+        results[steamId] = this.evaluateCheck(check, answer, { ...context, steamId });
       }
       
-      logger.error(`Unexpected API response format for Steam level check: ${JSON.stringify(data)}`);
-      return { success: false, error: "Unexpected API response" };
+      return { success: true, results };
     } catch (error) {
-      logger.error(`Steam level check failed for ${steamId}: ${error.message}`);
+      logger.error(`${check.label} request failed for ${steamIds.length} profile(s): ${error.message}`);
       return { success: false, error: error.message };
     }
   }
 
-  async checkFriends(steamId) {
+  async runSingleFromBatch(check, steamId) {
+    const batch = await this.runBatchCheck(check.name, [steamId]);
+    
+    if (batch.deferred) {
+      logger.warn(`${check.label} check for ${steamId} deferred - all connections in cooldown`);
+      this.addToDeferredChecks(steamId, check.name);
+      return { 
+        success: false, 
+        deferred: true,
+        error: batch.error, 
+        nextAvailableIn: batch.nextAvailableIn 
+      };
+    }
+    
+    if (!batch.success) {
+      return { success: false, error: batch.error };
+    }
+    
+    if (!batch.results[steamId]) {
+      logger.warn(`${check.label} for ${steamId} not returned by API (account may not exist)`);
+      return { success: false, error: `Player not found in ${check.label} response` };
+    }
+    
+    return batch.results[steamId];
+  }
+
+  createCheckContext(check, values) {
+    return {
+      ...values,
+      apiKey: this.apiKey,
+      config: this.config,
+      request: (url) => this.makeApiRequest(url)
+    };
+  }
+
+  // Apply the check's rule to interpreted facts, then any check-specific post-processing
+  evaluateCheck(check, { facts, details, extra }, context) {
+    let result = { ...this.applyRule(check.name, facts, details), ...extra };
+    if (check.afterRule) {
+      result = check.afterRule(result, context);
+    }
+    return result;
+  }
+
+  // Resolve a vanity name (steamcommunity.com/id/<vanity>) to a SteamID64.
+  // Not a check - used at intake, so it is never added to the deferred list.
+  async resolveVanityUrl(vanity) {
     try {
       if (!this.apiKey) {
         return { 
@@ -514,13 +523,11 @@ class SteamValidator {
         };
       }
       
-      const url = `https://api.steampowered.com/ISteamUser/GetFriendList/v0001/?key=${this.apiKey}&steamid=${steamId}&relationship=friend`;
+      const url = `https://api.steampowered.com/ISteamUser/ResolveVanityURL/v0001/?key=${this.apiKey}&vanityurl=${encodeURIComponent(vanity)}`;
       const result = await this.makeApiRequest(url);
       
-      // Check if all connections are in cooldown
       if (result.allInCooldown) {
-        logger.warn(`Friends check for ${steamId} deferred - all connections in cooldown`);
-        this.addToDeferredChecks(steamId, 'friends');
+        logger.warn(`Vanity resolution for '${vanity}' deferred - all connections in cooldown`);
         return { 
           success: false, 
           deferred: true,
@@ -530,156 +537,95 @@ class SteamValidator {
       }
       
       if (!result.success) {
-        // Special case for private profiles (401 error)
-        if (result.errorObj && result.errorObj.response && result.errorObj.response.status === 401) {
-          return {
-            success: true,
-            passed: true,
-            details: { error: "Private profile - cannot check friends" },
-            count: 0
-          };
-        }
-        
-        logger.error(`Friends check failed for ${steamId}: ${result.error}`);
+        logger.error(`Vanity resolution failed for '${vanity}': ${result.error}`);
         return { success: false, error: result.error };
       }
       
       const data = result.data;
       
-      if (data.friendslist && data.friendslist.friends) {
-        const friendsCount = data.friendslist.friends.length;
-        return {
-          success: true,
-          passed: friendsCount <= 60,
-          details: {
-            friends_count: friendsCount,
-            sample_friends: data.friendslist.friends.slice(0, 3)
-          },
-          count: friendsCount
-        };
+      if (data.response && data.response.success === 1 && data.response.steamid) {
+        logger.info(`Resolved vanity name '${vanity}' to ${data.response.steamid}`);
+        return { success: true, steamId: data.response.steamid };
       }
       
-      logger.error(`Unexpected API response format for friends check: ${JSON.stringify(data)}`);
-      return { success: false, error: "Unexpected API response" };
-    } catch (error) {
-      // Special case for private profiles (401 error)
-      if (error.response && error.response.status === 401) {
-        return {
-          success: true,
-          passed: true,
-          details: { error: "Private profile - cannot check friends" },
-          count: 0
-        };
+      // success 42 = no match
+      if (data.response && data.response.success === 42) {
+        logger.info(`Vanity name '${vanity}' does not match any Steam profile`);
+        return { success: false, notFound: true, error: `No Steam profile found for vanity name '${vanity}'` };
       }
       
-      logger.error(`Friends check failed for ${steamId}: ${error.message}`);
+      logger.error(`Unexpected API response format for vanity resolution: ${JSON.stringify(data)}`);
+      return { success: false, error: "Unexpected API response" };
+    } catch (error) {
+      logger.error(`Vanity resolution failed for '${vanity}': ${error.message}`);
       return { success: false, error: error.message };
     }
   }
 
-  async checkCsgoInventory(steamId) {
-    try {
-      const url = `https://steamcommunity.com/inventory/${steamId}/730/2`;
-      const result = await this.makeApiRequest(url);
-      
-      // Check if all connections are in cooldown
-      if (result.allInCooldown) {
-        logger.warn(`CS:GO inventory check for ${steamId} deferred - all connections in cooldown`);
-        this.addToDeferredChecks(steamId, 'csgo_inventory');
-        return { 
-          success: false, 
-          deferred: true,
-          error: "All connections in cooldown", 
-          nextAvailableIn: result.nextAvailableIn 
-        };
-      }
-      
-      if (!result.success) {
-        // Special case for private inventories (403) - this is actually good!
-        if (result.isPrivateInventory || 
-            (result.errorObj && result.errorObj.response && result.errorObj.response.status === 403)) {
-          logger.info(`CS:GO inventory check passed for ${steamId} (private inventory - this is good!)`);
-          return {
-            success: true,
-            passed: true,
-            details: { note: "Private inventory - cannot check (this is desirable)" }
-          };
-        }
-        
-        // Special case for unauthorized access (401)
-        if (result.errorObj && result.errorObj.response && result.errorObj.response.status === 401) {
-          logger.info(`CS:GO inventory check passed for ${steamId} (unauthorized - this is good!)`);
-          return {
-            success: true,
-            passed: true,
-            details: { note: "Unauthorized access - cannot check (this is desirable)" }
-          };
-        }
-        
-        logger.error(`CS:GO inventory check failed for ${steamId}: ${result.error}`);
-        return { success: false, error: result.error };
-      }
-      
-      const data = result.data;
-      
-      // Process results - pass if response is null or empty
-      if (data === null || Object.keys(data).length === 0) {
-        logger.info(`CS:GO inventory check passed for ${steamId} (empty inventory)`);
-        return {
-          success: true,
-          passed: true,
-          details: { note: "Empty inventory response" }
-        };
-      }
-      
-      // Check if inventory is actually empty
-      if (typeof data === 'object' && 
-          (!data.assets || data.assets.length === 0) && 
-          (!data.descriptions || data.descriptions.length === 0)) {
-        logger.info(`CS:GO inventory check passed for ${steamId} (empty inventory structure)`);
-        return {
-          success: true,
-          passed: true,
-          details: { note: "Empty inventory structure" }
-        };
-      }
-      
-      // Inventory exists - this is bad for your filtering criteria
-      const itemCount = data.assets ? data.assets.length : 0;
-      logger.info(`CS:GO inventory check failed for ${steamId} (found ${itemCount} items - will be filtered out)`);
-      return {
-        success: true,
-        passed: false,
-        details: {
-          note: "Public inventory with items found",
-          item_count: itemCount,
-          sample_items: data.assets ? data.assets.slice(0, 3) : []
-        }
-      };
-    } catch (error) {
-      // Special case for private inventories (these are the good ones!)
-      if (error.response && (error.response.status === 401 || error.response.status === 403)) {
-        const errorType = error.response.status === 401 ? "Unauthorized" : "Private inventory";
-        logger.info(`CS:GO inventory check passed for ${steamId}: ${errorType} - this is good!`);
-        return {
-          success: true,
-          passed: true,
-          details: { note: `${errorType} - cannot check (this is desirable)` }
-        };
-      }
-      
-      logger.error(`CS:GO inventory check failed for ${steamId}: ${error.message}`);
-      return { success: false, error: error.message };
+  // Evaluate the configured filter rule for a check against the facts it collected
+  applyRule(checkName, facts, details = {}) {
+    const { passed, rule } = this.ruleEngine.evaluate(checkName, facts);
+    
+    if (!passed) {
+      logger.info(`Check '${checkName}' rejected by rule '${rule}' (facts: ${JSON.stringify(facts)})`);
     }
+    
+    return {
+      success: true,
+      passed,
+      details: { ...details, facts, rule },
+      facts
+    };
+  }
+
+  // Look up a cached result for a check. The cached facts are re-evaluated against the
+  // current rules, so rule changes apply to cache hits too. Returns null on a miss.
+  getCachedCheckResult(steamId, checkName) {
+    const entry = this.resultCache.get(steamId, checkName);
+    if (!entry) {
+      return null;
+    }
+    
+    const ageHours = Math.round((Date.now() - entry.cached_at) / 3600000);
+    logger.info(`💾 Cache hit for '${checkName}' on ${steamId} (cached ${ageHours}h ago)`);
+    const check = this.checkRegistry.get(checkName);
+    const result = check
+      ? this.evaluateCheck(check, { facts: entry.facts, details: entry.details }, { steamId })
+      : this.applyRule(checkName, entry.facts, entry.details);
+    return { ...result, cached: true };
+  }
+
+  // Store a successful (non-cached) check result
+  cacheCheckResult(steamId, checkName, result) {
+    if (result && !result.cached) {
+      this.resultCache.set(steamId, checkName, result);
+    }
+  }
+
+  // Run a check and attach the connection its last request went through as result.connection.
+  // Works for concurrent checks since the connection is kept in the check's async context.
+  async trackConnection(runCheck) {
+    const context = { connection: null };
+    const result = await connectionTracker.run(context, runCheck);
+    if (result && context.connection && !result.connection) {
+      result.connection = context.connection;
+    }
+    return result;
   }
 
   // Helper method to add checks to deferred list
-  addToDeferredChecks(steamId, checkType) {
+  // retryAt: earliest time to run it again (checks that failed with an error), null = when a connection is available
+  addToDeferredChecks(steamId, checkType, retryAt = null) {
     if (!this.deferredChecks.has(steamId)) {
       this.deferredChecks.set(steamId, new Set());
     }
     
     this.deferredChecks.get(steamId).add(checkType);
+    if (retryAt) {
+      this.retryTimes.set(`${steamId}:${checkType}`, retryAt);
+    } else {
+      this.retryTimes.delete(`${steamId}:${checkType}`);
+    }
     
     // Log the number of deferred checks
     const totalDeferred = Array.from(this.deferredChecks.keys()).length;
@@ -693,6 +639,7 @@ class SteamValidator {
 
   // Clear a specific deferred check
   clearDeferredCheck(steamId, checkType) {
+    this.retryTimes.delete(`${steamId}:${checkType}`);
     if (this.deferredChecks.has(steamId)) {
       const checks = this.deferredChecks.get(steamId);
       checks.delete(checkType);
@@ -705,8 +652,24 @@ class SteamValidator {
     }
   }
 
+  // A check failed with a non-cooldown error: count the attempt in the queue and either schedule
+  // the retry (deferred until its next attempt time) or drop it from the deferred list once it
+  // reached the terminal "error" state. Returns the queue outcome (see QueueManager.recordCheckError).
+  async recordCheckError(queueManager, steamId, checkType, result) {
+    const outcome = await queueManager.recordCheckError(steamId, checkType, result);
+    
+    if (outcome && outcome.status === "deferred") {
+      this.addToDeferredChecks(steamId, checkType, outcome.nextAttemptAt);
+    } else {
+      this.clearDeferredCheck(steamId, checkType);
+    }
+    
+    return outcome;
+  }
+
   // Method to process deferred checks when connections become available
-  async processDeferredChecks(queueManager) {
+  // checkPlanner (optional) learns rejection rates from the completed checks
+  async processDeferredChecks(queueManager, checkPlanner = null) {
     let processed = 0;
     
     // Get a snapshot of current deferred checks (to avoid concurrent modification issues)
@@ -726,67 +689,69 @@ class SteamValidator {
       const checkTypesToProcess = Array.from(checkTypes);
       logger.debug(`🔍 [DEBUG] processDeferredChecks: Processing ${steamId} with checks: ${checkTypesToProcess.join(', ')}`);
       
-      for (const checkType of checkTypesToProcess) {
-        // Map check type to endpoint name for cooldown checking
-        const endpointName = this.mapCheckTypeToEndpoint(checkType);
-        logger.debug(`🔍 [DEBUG] processDeferredChecks: ${checkType} maps to endpoint ${endpointName}`);
-        
-        // Check if connections are available for this specific endpoint BEFORE trying
-        const allInCooldown = this.proxyManager.areAllConnectionsInCooldownForEndpoint(endpointName);
-        logger.debug(`🔍 [DEBUG] processDeferredChecks: All connections in cooldown for ${endpointName}: ${allInCooldown}`);
-        
-        if (allInCooldown) {
-          // logger.debug(`Skipping deferred check ${checkType} for ${steamId} - all connections still in cooldown`);
-          continue; // Skip this check, still in cooldown
-        }
-        
-        logger.info(`🔄 Processing deferred check ${checkType} for ${steamId} - connections now available`);
-        
-        let result;
-        
-        // Run the appropriate check
-        if (checkType === 'friends') {
-          result = await this.checkFriends(steamId);
-        } else if (checkType === 'csgo_inventory') {
-          result = await this.checkCsgoInventory(steamId);
-        } else if (checkType === 'animated_avatar') {
-          result = await this.checkAnimatedAvatar(steamId);
-        } else if (checkType === 'avatar_frame') {
-          result = await this.checkAvatarFrame(steamId);
-        } else if (checkType === 'mini_profile_background') {
-          result = await this.checkMiniProfileBackground(steamId);
-        } else if (checkType === 'profile_background') {
-          result = await this.checkProfileBackground(steamId);
-        } else if (checkType === 'steam_level') {
-          result = await this.checkSteamLevel(steamId);
-        }
-        
-        logger.debug(`🔍 [DEBUG] processDeferredChecks: ${checkType} result: ${JSON.stringify(result)}`);
-        
-        // If check was successful, update queue and remove from deferred
-        if (result.success) {
-          await queueManager.updateProfileCheck(steamId, checkType, result.passed ? "passed" : "failed");
-          this.clearDeferredCheck(steamId, checkType);
-          processed++;
-          logger.info(`✅ Deferred check ${checkType} for ${steamId} completed: ${result.passed ? 'PASSED' : 'FAILED'}`);
-        } else if (result.deferred) {
-          // Still in cooldown, keep in deferred list
-          // logger.debug(`Deferred check ${checkType} for ${steamId} still in cooldown`);
-        } else {
-          // Other error occurred, log it but remove from deferred list
-          logger.error(`Error processing deferred check ${checkType} for ${steamId}: ${result.error}`);
-          await queueManager.updateProfileCheck(steamId, checkType, "deferred");
-          this.clearDeferredCheck(steamId, checkType);
-        }
-        
-        // If we've hit the cooldown again, stop processing for now
-        if (result.deferred) {
-          return {
-            processed,
-            remaining: this.deferredChecks.size,
-            nextTryIn: result.nextAvailableIn
-          };
+      // A worker holding the profile may be running the same checks right now
+      if (!queueManager.claimProfile(steamId)) {
+        continue;
+      }
+      
+      try {
+        for (const checkType of checkTypesToProcess) {
+          // Checks that failed with an error wait for their retry spacing
+          const retryAt = this.retryTimes.get(`${steamId}:${checkType}`);
+          if (retryAt && retryAt > Date.now()) {
+            continue;
+          }
+          
+          // Map check type to endpoint name for cooldown checking
+          const endpointName = this.mapCheckTypeToEndpoint(checkType);
+          logger.debug(`🔍 [DEBUG] processDeferredChecks: ${checkType} maps to endpoint ${endpointName}`);
+          
+          // Check if connections are available for this specific endpoint BEFORE trying
+          const allInCooldown = this.proxyManager.areAllConnectionsInCooldownForEndpoint(endpointName);
+          logger.debug(`🔍 [DEBUG] processDeferredChecks: All connections in cooldown for ${endpointName}: ${allInCooldown}`);
+          
+          if (allInCooldown) {
+            // logger.debug(`Skipping deferred check ${checkType} for ${steamId} - all connections still in cooldown`);
+            continue; // Skip this check, still in cooldown
+          }
+          
+          logger.info(`🔄 Processing deferred check ${checkType} for ${steamId} - connections now available`);
+          
+          // Run the appropriate check, recording which connection served it
+          const result = await this.trackConnection(() => this.runCheck(checkType, steamId));
+          
+          logger.debug(`🔍 [DEBUG] processDeferredChecks: ${checkType} result: ${JSON.stringify(result)}`);
+          
+          // If check was successful, update queue and remove from deferred
+          if (result.success) {
+            this.cacheCheckResult(steamId, checkType, result);
+            if (checkPlanner) {
+              checkPlanner.recordOutcome(checkType, result.passed);
+            }
+            await queueManager.updateProfileCheck(steamId, checkType, result.passed ? "passed" : "failed", result);
+            this.clearDeferredCheck(steamId, checkType);
+            processed++;
+            logger.info(`✅ Deferred check ${checkType} for ${steamId} completed: ${result.passed ? 'PASSED' : 'FAILED'}`);
+          } else if (result.deferred) {
+            // Still in cooldown, keep in deferred list
+            // logger.debug(`Deferred check ${checkType} for ${steamId} still in cooldown`);
+          } else {
+            // Other error occurred - counts against the check's retry budget
+            logger.error(`Error processing deferred check ${checkType} for ${steamId}: ${result.error}`);
+            await this.recordCheckError(queueManager, steamId, checkType, result);
+          }
+          
+          // If we've hit the cooldown again, stop processing for now
+          if (result.deferred) {
+            return {
+              processed,
+              remaining: this.deferredChecks.size,
+              nextTryIn: result.nextAvailableIn
+            };
+          }
         }
+      } finally {
+        queueManager.releaseProfile(steamId);
       }
     }
     
@@ -798,19 +763,9 @@ class SteamValidator {
     };
   }
 
-  // Helper method to map check type to endpoint name
+  // Helper method to map check type to endpoint name (cooldown bucket)
   mapCheckTypeToEndpoint(checkType) {
-    const mapping = {
-      'friends': 'friends',
-      'csgo_inventory': 'inventory', // This is the key mapping!
-      'steam_level': 'steam_level',
-      'animated_avatar': 'animated_avatar',
-      'avatar_frame': 'avatar_frame',
-      'mini_profile_background': 'mini_profile_background',
-      'profile_background': 'profile_background'
-    };
-    
-    return mapping[checkType] || checkType;
+    return this.checkRegistry.getEndpoint(checkType);
   }
 
   // Helper method to calculate final results
@@ -864,7 +819,7 @@ class SteamValidator {
       
       const result = await this.makeApiRequest(testUrl);
       
-      if (result.success || result.isPrivateInventory) {
+      if (result.success || result.isPrivate) {
         logger.info('✅ Inventory endpoint test successful!');
         return true;
       } else if (result.allInCooldown) {
@@ -903,7 +858,7 @@ class SteamValidator {
       
       const result = await this.makeApiRequest(testUrl);
       
-      if (result.success || result.isPrivateProfile) {
+      if (result.success || result.isPrivate) {
         logger.info('✅ Friends endpoint test successful!');
         return true;
       } else if (result.allInCooldown) {
@@ -0,0 +1,95 @@
+// steam-id-processor/src/utils/csv.js
+
+// Quote a value if it contains a separator, quote or line break (RFC 4180)
+function formatCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text with a header line.
+ * @param {string[]} columns - Column names, in order
+ * @param {Object[]} rows - Objects keyed by column name (missing values are left empty)
+ * @returns {string}
+ */
+function formatCsv(columns, rows) {
+  const lines = [columns.map(formatCsvValue).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => formatCsvValue(row[column])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parse CSV text whose first line is the header. Handles quoted values with separators,
+ * doubled quotes and line breaks; blank lines are skipped.
+ * @param {string} text
+ * @returns {Object[]} One object per line, keyed by header name (all values are strings)
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let value = '';
+  let quoted = false;
+
+  const content = text.replace(/^\uFEFF/, ''); // Spreadsheet exports often start with a BOM
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      record.push(value);
+      records.push(record);
+      record = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Invalid CSV: unterminated quoted value');
+  }
+  if (value !== '' || record.length > 0) {
+    record.push(value);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(fields => fields.length > 1 || fields[0] !== '');
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const header = nonEmpty[0].map(name => name.trim());
+  return nonEmpty.slice(1).map(fields => {
+    const row = {};
+    header.forEach((name, index) => {
+      row[name] = fields[index] !== undefined ? fields[index] : '';
+    });
+    return row;
+  });
+}
+
+module.exports = {
+  formatCsv,
+  parseCsv
+};
@@ -11,6 +11,7 @@ class QueueFileManager {
     this.maxRetries = 3; // Reduced retries to fail faster
     this.baseRetryDelay = 200; // 200ms base delay
     this.lockTimeout = 300000; // 5 minutes max lock age (was 30 seconds)
+    this.pendingOperation = Promise.resolve(); // Tail of the in-process operation queue
   }
 
   /**
@@ -23,6 +24,17 @@ class QueueFileManager {
    * @returns {Promise} Result of the operation
    */
   async withFileLock(operation, options = {}) {
+    // Operations from this process (concurrent workers, API server) run one after another;
+    // the lock file then only has to arbitrate between processes instead of being polled
+    const run = this.pendingOperation.then(() => this.runWithFileLock(operation, options));
+    this.pendingOperation = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Acquire the lock file, run the operation and release the lock (retrying on lock/file errors)
+   */
+  async runWithFileLock(operation, options = {}) {
     const { readOnly = false, maxRetries = this.maxRetries, operationName = 'unknown' } = options;
     let attempts = 0;
     
@@ -246,79 +258,6 @@ class QueueFileManager {
     }
   }
 
-  /**
-   * Read queue profiles with lock protection
-   */
-  async readQueueProfiles() {
-    return this.withFileLock(async () => {
-      try {
-        const data = await fs.readFile(this.queueFilePath, 'utf8');
-        const validation = this.validateJsonContent(data, 'read operation');
-        return validation.parsed;
-      } catch (error) {
-        logger.error(`Error reading queue file: ${error.message}`);
-        return [];
-      }
-    }, { readOnly: true, operationName: 'readQueueProfiles' });
-  }
-
-  /**
-   * Write queue profiles with lock protection
-   */
-  async writeQueueProfiles(profiles) {
-    return this.withFileLock(async () => {
-      try {
-        // Validate input
-        if (!Array.isArray(profiles)) {
-          throw new Error(`Invalid profiles data: expected array, got ${typeof profiles}`);
-        }
-        
-        // Pre-validate the data structure
-        const jsonData = JSON.stringify(profiles, null, 2);
-        this.validateJsonContent(jsonData, 'pre-write validation');
-        
-        // Write to temporary file first for atomic operation
-        const tempPath = `${this.queueFilePath}.tmp.${Date.now()}.${this.processId}`;
-        await fs.writeFile(tempPath, jsonData, 'utf8');
-        
-        // Verify the temporary file is valid
-        const verification = await fs.readFile(tempPath, 'utf8');
-        this.validateJsonContent(verification, 'post-write verification');
-        
-        // Atomic move (rename) to final location
-        await fs.rename(tempPath, this.queueFilePath);
-        
-        // Final verification of the moved file
-        const finalVerification = await fs.readFile(this.queueFilePath, 'utf8');
-        this.validateJsonContent(finalVerification, 'final verification');
-        
-        logger.debug(`Successfully saved ${profiles.length} profiles to queue with full validation`);
-        return true;
-      } catch (error) {
-        logger.error(`Error saving queue file: ${error.message}`);
-        
-        // Clean up temp files if they exist
-        try {
-          const tempPattern = `${this.queueFilePath}.tmp.`;
-          const dir = path.dirname(this.queueFilePath);
-          const files = await fs.readdir(dir);
-          
-          for (const file of files) {
-            if (file.startsWith(path.basename(tempPattern))) {
-              const tempFile = path.join(dir, file);
-              await fs.remove(tempFile);
-              logger.debug(`Cleaned up temp file: ${tempFile}`);
-            }
-          }
-        } catch (cleanupError) {
-          logger.debug(`Error during temp file cleanup: ${cleanupError.message}`);
-        }
-        
-        throw error;
-      }
-    }, { operationName: 'writeQueueProfiles' });
-  }
-
   /**
    * Utility method for delay
    */
@@ -0,0 +1,110 @@
+// steam-id-processor/src/utils/steam-id-parser.js
+
+// SteamID64 of individual account with account ID 0 (universe 1, type 1, instance 1)
+const STEAMID64_BASE = 76561197960265728n;
+const MAX_ACCOUNT_ID = 0xFFFFFFFFn;
+
+// Vanity names are 2-32 characters of letters, digits, "_" and "-"
+const VANITY_PATTERN = /^[A-Za-z0-9_-]{2,32}$/;
+const PROFILE_URL_PATTERN = /^(?:https?:\/\/)?(?:www\.)?steamcommunity\.com\/(id|profiles)\/([^/?#]+)\/?(?:[?#].*)?$/i;
+const STEAMID2_PATTERN = /^STEAM_[0-5]:([01]):(\d+)$/i;
+const STEAMID3_PATTERN = /^\[?U:1:(\d+)\]?$/i;
+const STEAMID64_PATTERN = /^\d{17}$/;
+const NUMERIC_PATTERN = /^\d+$/;
+
+function accountIdToSteamId64(accountId) {
+  const id = BigInt(accountId);
+  if (id < 0n || id > MAX_ACCOUNT_ID) {
+    return null;
+  }
+  return (STEAMID64_BASE + id).toString();
+}
+
+function isValidSteamId64(value) {
+  if (!STEAMID64_PATTERN.test(value)) {
+    return false;
+  }
+  const accountId = BigInt(value) - STEAMID64_BASE;
+  return accountId >= 0n && accountId <= MAX_ACCOUNT_ID;
+}
+
+/**
+ * Parse a user-supplied Steam identifier without any network access.
+ * Accepts SteamID64, SteamID2 (STEAM_0:X:Y), SteamID3 ([U:1:N]),
+ * steamcommunity.com/profiles/<id> and /id/<vanity> URLs, and bare vanity names.
+ * @param {string} input - Raw identifier as submitted
+ * @returns {Object} { type: 'steamid64'|'steamid2'|'steamid3'|'vanity'|'invalid', steamId?, vanity?, error? }
+ */
+function parseSteamIdInput(input) {
+  if (input === null || input === undefined) {
+    return { type: 'invalid', error: 'Missing Steam ID' };
+  }
+
+  const value = String(input).trim();
+  if (value === '') {
+    return { type: 'invalid', error: 'Empty Steam ID' };
+  }
+
+  const urlMatch = value.match(PROFILE_URL_PATTERN);
+  if (urlMatch) {
+    const [, kind, rawPart] = urlMatch;
+    let part;
+    try {
+      part = decodeURIComponent(rawPart);
+    } catch (error) {
+      return { type: 'invalid', error: `Malformed profile URL: ${value}` };
+    }
+
+    if (kind.toLowerCase() === 'id') {
+      return VANITY_PATTERN.test(part)
+        ? { type: 'vanity', vanity: part }
+        : { type: 'invalid', error: `Invalid vanity name in URL: ${part}` };
+    }
+
+    // /profiles/ URLs carry a SteamID64 (or occasionally a SteamID3)
+    const inner = parseSteamIdInput(part);
+    if (inner.type === 'steamid64' || inner.type === 'steamid3') {
+      return inner;
+    }
+    return { type: 'invalid', error: `Invalid Steam ID in profile URL: ${part}` };
+  }
+
+  if (STEAMID64_PATTERN.test(value)) {
+    return isValidSteamId64(value)
+      ? { type: 'steamid64', steamId: value }
+      : { type: 'invalid', error: `SteamID64 out of range: ${value}` };
+  }
+
+  // A bare number is a mistyped SteamID64, not a vanity name (those still work as /id/<name> URLs)
+  if (NUMERIC_PATTERN.test(value)) {
+    return { type: 'invalid', error: `Invalid SteamID64 (expected 17 digits): ${value}` };
+  }
+
+  const steamId2Match = value.match(STEAMID2_PATTERN);
+  if (steamId2Match) {
+    const [, authServer, accountNumber] = steamId2Match;
+    const steamId = accountIdToSteamId64(BigInt(accountNumber) * 2n + BigInt(authServer));
+    return steamId
+      ? { type: 'steamid2', steamId }
+      : { type: 'invalid', error: `SteamID2 out of range: ${value}` };
+  }
+
+  const steamId3Match = value.match(STEAMID3_PATTERN);
+  if (steamId3Match) {
+    const steamId = accountIdToSteamId64(steamId3Match[1]);
+    return steamId
+      ? { type: 'steamid3', steamId }
+      : { type: 'invalid', error: `SteamID3 out of range: ${value}` };
+  }
+
+  if (VANITY_PATTERN.test(value)) {
+    return { type: 'vanity', vanity: value };
+  }
+
+  return { type: 'invalid', error: `Unrecognized Steam ID format: ${value}` };
+}
+
+module.exports = {
+  parseSteamIdInput,
+  isValidSteamId64
+};
@@ -0,0 +1,92 @@
+// steam-id-processor/src/worker-pool.js
+const logger = require('./utils/logger');
+
+// Processes queued profiles with a fixed number of concurrent workers. Each worker claims its own
+// profile (QueueManager.claimNextProcessableProfile) and runs its checks; requests go out on
+// whichever connection ProxyManager hands out, which is the least busy one for the endpoint,
+// so with N connections up to N profiles are checked in parallel.
+class WorkerPool {
+  constructor(config, queueManager, processProfile, options = {}) {
+    this.config = config;
+    this.queueManager = queueManager;
+    this.processProfile = processProfile; // async (profile, workerId) => void
+    this.getSkipChecks = options.getSkipChecks || (() => []); // Checks left to the batch processor
+    this.concurrency = Math.max(options.concurrency || 1, 1);
+    this.delayBetweenProfiles = config.PROCESSING_DELAY;
+    this.idleDelay = config.EMPTY_QUEUE_DELAY; // Nothing claimable, or only deferred checks left
+    this.running = false;
+    this.workers = [];
+    this.activeWorkers = 0;
+    this.stats = { processed: 0, errors: 0 };
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    for (let workerId = 1; workerId <= this.concurrency; workerId++) {
+      this.workers.push(this.runWorker(workerId));
+    }
+    logger.info(`👷 Worker pool started with ${this.concurrency} worker(s)`);
+  }
+
+  // Stop claiming new profiles and wait for the current ones to finish
+  async stop() {
+    this.running = false;
+    await Promise.all(this.workers);
+    this.workers = [];
+  }
+
+  async runWorker(workerId) {
+    while (this.running) {
+      let profile = null;
+      let idle = true;
+
+      try {
+        const skipChecks = this.getSkipChecks();
+        profile = await this.queueManager.claimNextProcessableProfile(skipChecks);
+
+        if (profile) {
+          // A profile claimed only for its deferred checks has nothing to run until connections free up
+          idle = this.isDeferredOnly(profile, skipChecks);
+          this.activeWorkers++;
+          logger.debug(`Worker ${workerId} claimed ${profile.steam_id} (user: ${profile.username})`);
+          await this.processProfile(profile, workerId);
+          this.stats.processed++;
+        }
+      } catch (error) {
+        this.stats.errors++;
+        logger.error(`Worker ${workerId} failed processing ${profile ? profile.steam_id : 'queue'}: ${error.message}`);
+      } finally {
+        if (profile) {
+          this.activeWorkers--;
+          this.queueManager.releaseProfile(profile.steam_id);
+        }
+      }
+
+      await this.delay(idle ? this.idleDelay : this.delayBetweenProfiles);
+    }
+  }
+
+  isDeferredOnly(profile, skipChecks) {
+    const statuses = Object.entries(profile.checks);
+    return !statuses.some(([name, status]) => status === 'to_check' && !skipChecks.includes(name)) &&
+      statuses.some(([, status]) => status === 'deferred');
+  }
+
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      activeWorkers: this.activeWorkers,
+      ...this.stats
+    };
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = WorkerPool;